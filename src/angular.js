@@ -0,0 +1,291 @@
+/**
+ * @file angular.js
+ * @description Extracts class names from Angular templates and components.
+ *
+ * Templates are read tag by tag, so only real `class`, `ng-class`, `[ngClass]`, `[class]` and
+ * `[class.name]` attributes count, and binding expressions are parsed for the class names they can
+ * produce (string literals and object keys) rather than split on whitespace. Components contribute
+ * their inline `template`, `host` metadata and `@HostBinding('class…')` members, and their
+ * `templateUrl` and `styleUrls` tell which template and stylesheets belong to them.
+ */
+
+// ------------------------------
+// EXPRESSION PARSING
+// ------------------------------
+
+/**
+ * Matches a string literal in single or double quotes.
+ */
+const stringLiteralPattern = `(['"])((?:\\\\.|(?!\\1)[^\\\\])*)\\1`;
+
+/**
+ * Adds the classes of a space-separated class list, skipping anything that cannot be a class name.
+ * @param {string} list - The class list.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function addClassList(list, classSet) {
+  list.split(/\s+/).forEach((token) => {
+    if (/^[^\s'"`{};]+$/.test(token) && /[\w]/.test(token) && !token.startsWith(':')) classSet.add(token);
+  });
+}
+
+/**
+ * Finds the index of the bracket that closes the one at `openIndex`, skipping string literals.
+ * @param {string} text - The source text.
+ * @param {number} openIndex - The index of the opening "{", "[" or "(".
+ * @returns {number} The index of the matching bracket, or -1 if it is not closed.
+ */
+function findClosingBracket(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      for (i++; i < text.length && text[i] !== ch; i++) if (text[i] === '\\') i++;
+    } else if ('{[('.includes(ch)) depth++;
+    else if ('}])'.includes(ch) && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Extracts the classes a binding expression can produce: the keys of object syntax
+ * (`{'p-4 flex': isOpen, active: isActive}`), otherwise its string literals (string, array and
+ * ternary syntax). String literals compared with ==/!= are values rather than classes and are skipped.
+ * @param {string} expression - The binding expression.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractExpressionClasses(expression, classSet) {
+  const trimmed = expression.trim();
+  if (trimmed.startsWith('{') && findClosingBracket(trimmed, 0) === trimmed.length - 1) {
+    const keyRegex = new RegExp(`[{,]\\s*(?:${stringLiteralPattern}|([A-Za-z_$][\\w$]*))\\s*:`, 'g');
+    let match;
+    while ((match = keyRegex.exec(trimmed)) !== null) {
+      addClassList(match[2] !== undefined ? match[2] : match[3], classSet);
+    }
+    return;
+  }
+  const literalRegex = new RegExp(stringLiteralPattern, 'g');
+  let match;
+  while ((match = literalRegex.exec(expression)) !== null) {
+    const before = expression.slice(0, match.index);
+    const after = expression.slice(match.index + match[0].length);
+    if (/[=!]==?\s*$/.test(before) || /^\s*[=!]==?/.test(after)) continue;
+    addClassList(match[2], classSet);
+  }
+}
+
+/**
+ * Extracts the classes of a static class attribute, including string literals inside {{ }} interpolations.
+ * @param {string} value - The attribute value.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractInterpolatedClasses(value, classSet) {
+  const interpolationRegex = /\{\{([\s\S]*?)\}\}/g;
+  // Interpolations become "{}", so partial classes next to them (e.g. bg-{{ color }}) are skipped.
+  addClassList(value.replace(interpolationRegex, '{}'), classSet);
+  let match;
+  while ((match = interpolationRegex.exec(value)) !== null) {
+    extractExpressionClasses(match[1], classSet);
+  }
+}
+
+// ------------------------------
+// TEMPLATES
+// ------------------------------
+
+/**
+ * Attributes whose value is a binding expression producing class names.
+ */
+const expressionAttributes = ['ng-class', '[ngClass]', '[class]', '[className]', '[attr.class]', 'bind-class'];
+
+/**
+ * Adds the classes of one attribute or host binding.
+ * @param {string} name - The attribute name (e.g., "class", "[ngClass]" or "[class.p-4]").
+ * @param {string} value - The attribute value.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractBindingClasses(name, value, classSet) {
+  const classBinding = name.match(/^(?:\[class\.([^\]]+)\]|class\.(.+))$/);
+  if (classBinding) addClassList(classBinding[1] || classBinding[2], classSet);
+  else if (name.toLowerCase() === 'class') extractInterpolatedClasses(value, classSet);
+  else if (expressionAttributes.includes(name)) extractExpressionClasses(value, classSet);
+}
+
+/**
+ * Calls back with every attribute that has a value, in the start tags of a template.
+ * HTML comments are skipped.
+ * @param {string} content - The template content.
+ * @param {function(string, string): void} callback - Called with each attribute's name and value.
+ */
+function forEachAttribute(content, callback) {
+  const html = content.replace(/<!--[\s\S]*?-->/g, '');
+  // Attribute names may contain "/" (e.g. [class.w-1/2]) as long as it does not end the tag.
+  const tagRegex = /<[a-zA-Z][\w:-]*((?:\s+(?:[^\s"'>\/=]|\/(?!>))+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+  const attrRegex = /((?:[^\s"'>\/=]|\/(?!>))+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let tag;
+  while ((tag = tagRegex.exec(html)) !== null) {
+    let attr;
+    while ((attr = attrRegex.exec(tag[1])) !== null) {
+      const value = [attr[2], attr[3], attr[4]].find((part) => part !== undefined);
+      if (value !== undefined) callback(attr[1], value);
+    }
+  }
+}
+
+/**
+ * Extracts class names from the class attributes and bindings of an Angular (or plain HTML) template.
+ * Comments are ignored, and only attributes of start tags are read.
+ * @param {string} content - The template content.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractTemplateClasses(content, classSet) {
+  forEachAttribute(content, (name, value) => extractBindingClasses(name, value, classSet));
+}
+
+// ------------------------------
+// COMPONENTS
+// ------------------------------
+
+/**
+ * Extracts the inline templates (`template: \`…\``) of a component file.
+ * @param {string} content - The TypeScript source.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractInlineTemplateClasses(content, classSet) {
+  const templateRegex = /\btemplate\s*:\s*(?:`((?:\\[\s\S]|[^`\\])*)`|'((?:\\.|[^'\\])*)'|"((?:\\.|[^"\\])*)")/g;
+  let match;
+  while ((match = templateRegex.exec(content)) !== null) {
+    extractTemplateClasses([match[1], match[2], match[3]].find((part) => part !== undefined), classSet);
+  }
+}
+
+/**
+ * Extracts the class bindings of `host: { … }` metadata, e.g. `class: 'block p-4'`,
+ * `'[class.shadow-md]': 'raised'` and `'[class]': "dense ? 'p-1' : 'p-4'"`.
+ * @param {string} content - The TypeScript source.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractHostMetadataClasses(content, classSet) {
+  const hostRegex = /\bhost\s*:\s*\{/g;
+  const entryRegex = new RegExp(`(?:${stringLiteralPattern}|([A-Za-z_$][\\w$]*))\\s*:\\s*(['"\`])((?:\\\\.|(?!\\4)[^\\\\])*)\\4`, 'g');
+  let host;
+  while ((host = hostRegex.exec(content)) !== null) {
+    const open = host.index + host[0].length - 1;
+    const body = content.slice(open + 1, Math.max(open, findClosingBracket(content, open)));
+    let entry;
+    while ((entry = entryRegex.exec(body)) !== null) {
+      extractBindingClasses(entry[2] !== undefined ? entry[2] : entry[3], entry[5], classSet);
+    }
+  }
+}
+
+/**
+ * Extracts the classes of `@HostBinding('class.name')` members and the string literals of
+ * `@HostBinding('class')` properties and getters.
+ * @param {string} content - The TypeScript source.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractHostBindingClasses(content, classSet) {
+  const decoratorRegex = /@HostBinding\(\s*(['"])(class|className|attr\.class|class\.[^'"]+)\1\s*\)/g;
+  let match;
+  while ((match = decoratorRegex.exec(content)) !== null) {
+    if (match[2].startsWith('class.')) {
+      addClassList(match[2].slice('class.'.length), classSet);
+      continue;
+    }
+    // The decorated member: a getter's body, or a property up to the end of its declaration.
+    const rest = content.slice(match.index + match[0].length);
+    const getter = rest.match(/^\s*(?:public\s+|protected\s+)?get\s+[\w$]+\s*\(\s*\)[^{]*\{/);
+    if (getter) {
+      extractExpressionClasses(rest.slice(getter[0].length, findClosingBracket(rest, getter[0].length - 1)), classSet);
+      continue;
+    }
+    const end = rest.indexOf(';');
+    const property = end === -1 ? rest : rest.slice(0, end);
+    if (property.includes('=')) extractExpressionClasses(property.slice(property.indexOf('=') + 1), classSet);
+  }
+}
+
+/**
+ * Extracts class names from an Angular component or directive: its inline templates, host metadata
+ * and host bindings. Other code is left to the generic extraction.
+ * @param {string} content - The TypeScript source.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractComponentClasses(content, classSet) {
+  extractInlineTemplateClasses(content, classSet);
+  extractHostMetadataClasses(content, classSet);
+  extractHostBindingClasses(content, classSet);
+}
+
+// ------------------------------
+// COMPONENT METADATA
+// ------------------------------
+
+/**
+ * Finds the metadata object of a file's @Component decorator.
+ * @param {string} content - The TypeScript source.
+ * @returns {{start: number, end: number}|null} The indices of its braces, or null if there is none.
+ */
+function findComponentMetadata(content) {
+  const decorator = content.match(/@Component\s*\(\s*\{/);
+  if (!decorator) return null;
+  const start = decorator.index + decorator[0].length - 1;
+  const end = findClosingBracket(content, start);
+  return end === -1 ? null : { start, end };
+}
+
+/**
+ * Reads the template and stylesheet references and the view encapsulation of a component.
+ * @param {string} content - The TypeScript source.
+ * @returns {{templateUrl: string|null, styleUrls: string[], encapsulation: string|null}|null} The
+ *   `templateUrl`, the `styleUrl`/`styleUrls` entries (as written, relative to the component file) and
+ *   the ViewEncapsulation member name, or null if the file declares no component.
+ */
+function parseComponentMetadata(content) {
+  const bounds = findComponentMetadata(content);
+  if (!bounds) return null;
+  const metadata = content.slice(bounds.start, bounds.end + 1);
+  const templateUrl = metadata.match(new RegExp(`\\btemplateUrl\\s*:\\s*${stringLiteralPattern}`));
+  const encapsulation = metadata.match(/\bencapsulation\s*:\s*ViewEncapsulation\.(\w+)/);
+  const styleUrls = [];
+  const styleUrl = metadata.match(new RegExp(`\\bstyleUrl\\s*:\\s*${stringLiteralPattern}`));
+  if (styleUrl) styleUrls.push(styleUrl[2]);
+  const styleUrlList = metadata.match(/\bstyleUrls\s*:\s*\[([^\]]*)\]/);
+  if (styleUrlList) {
+    const literalRegex = new RegExp(stringLiteralPattern, 'g');
+    let match;
+    while ((match = literalRegex.exec(styleUrlList[1])) !== null) styleUrls.push(match[2]);
+  }
+  return {
+    templateUrl: templateUrl ? templateUrl[2] : null,
+    styleUrls,
+    encapsulation: encapsulation ? encapsulation[1] : null,
+  };
+}
+
+/**
+ * Adds a stylesheet to a component's metadata as the first property of its @Component decorator.
+ * @param {string} content - The TypeScript source.
+ * @param {string} styleUrl - The stylesheet path, relative to the component file (e.g., "./card.component.css").
+ * @returns {string} The updated source, or the source unchanged if it declares no component.
+ */
+function addStyleUrl(content, styleUrl) {
+  const bounds = findComponentMetadata(content);
+  if (!bounds) return content;
+  // Reuse the whitespace before the first property, so the new one gets the same indentation.
+  const whitespace = content.slice(bounds.start + 1).match(/^\s*/)[0];
+  const insertAt = bounds.start + 1 + whitespace.length;
+  return `${content.slice(0, insertAt)}styleUrls: ['${styleUrl}'],${whitespace || ' '}${content.slice(insertAt)}`;
+}
+
+module.exports = {
+  addClassList,
+  findClosingBracket,
+  forEachAttribute,
+  extractTemplateClasses,
+  extractComponentClasses,
+  extractExpressionClasses,
+  parseComponentMetadata,
+  addStyleUrl,
+};
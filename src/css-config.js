@@ -0,0 +1,301 @@
+/**
+ * @file css-config.js
+ * @description Reads Tailwind v4 CSS-first configuration (@theme, @utility and @custom-variant blocks)
+ * from a project's entry CSS files.
+ *
+ * Theme variables feed value resolution and are carried into the generated :root rule, @utility
+ * blocks declare project-defined utilities, and @custom-variant blocks declare project-defined variants.
+ */
+
+// ------------------------------
+// CSS PARSING HELPERS
+// ------------------------------
+
+/**
+ * Removes CSS comments.
+ * @param {string} css - The CSS source.
+ * @returns {string} The CSS without comments.
+ */
+function stripComments(css) {
+  return css.replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+/**
+ * Finds the index of the brace that closes the block opened at `openIndex`.
+ * @param {string} css - The CSS source.
+ * @param {number} openIndex - The index of the opening "{".
+ * @returns {number} The index of the matching "}", or -1 if the block is not closed.
+ */
+function findClosingBrace(css, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < css.length; i++) {
+    if (css[i] === '{') depth++;
+    else if (css[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Splits the body of a CSS block into its top-level declarations and nested blocks.
+ * @param {string} body - The text between a block's braces.
+ * @returns {{declarations: string[], blocks: {prelude: string, body: string}[]}} The declarations
+ *   (without trailing semicolons) and the nested blocks, in source order.
+ */
+function parseBlockBody(body) {
+  const declarations = [];
+  const blocks = [];
+  let start = 0;
+  let depth = 0;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    else if (ch === ';' && depth === 0) {
+      const declaration = body.slice(start, i).trim();
+      if (declaration) declarations.push(declaration);
+      start = i + 1;
+    } else if (ch === '{' && depth === 0) {
+      const end = findClosingBrace(body, i);
+      if (end === -1) break;
+      blocks.push({ prelude: body.slice(start, i).trim(), body: body.slice(i + 1, end) });
+      i = end;
+      start = end + 1;
+    }
+  }
+  const rest = body.slice(start).trim();
+  if (rest) declarations.push(rest);
+  return { declarations, blocks };
+}
+
+/**
+ * Finds every top-level at-rule with the given name.
+ * @param {string} css - The CSS source, without comments.
+ * @param {string} name - The at-rule name without "@" (e.g., "theme").
+ * @returns {{prelude: string, body: string|null}[]} The at-rules found; `body` is null for
+ *   statement at-rules that end with ";" instead of a block.
+ */
+function findAtRules(css, name) {
+  const atRules = [];
+  const atRuleRegex = new RegExp(`@${name}(?![\\w-])`, 'g');
+  let match;
+  while ((match = atRuleRegex.exec(css)) !== null) {
+    const start = match.index + match[0].length;
+    let depth = 0;
+    let i = start;
+    // The prelude ends at the first "{" or ";" outside parentheses.
+    for (; i < css.length; i++) {
+      if (css[i] === '(') depth++;
+      else if (css[i] === ')') depth--;
+      else if ((css[i] === '{' || css[i] === ';') && depth === 0) break;
+    }
+    const prelude = css.slice(start, i).trim();
+    if (css[i] === '{') {
+      const end = findClosingBrace(css, i);
+      if (end === -1) break;
+      atRules.push({ prelude, body: css.slice(i + 1, end) });
+      atRuleRegex.lastIndex = end + 1;
+    } else {
+      atRules.push({ prelude, body: null });
+      atRuleRegex.lastIndex = i + 1;
+    }
+  }
+  return atRules;
+}
+
+/**
+ * Splits a "property: value" declaration.
+ * @param {string} declaration - The declaration text.
+ * @returns {{property: string, value: string}|null} The parts, or null if it is not a declaration.
+ */
+function splitDeclaration(declaration) {
+  const colon = declaration.indexOf(':');
+  if (colon === -1) return null;
+  return { property: declaration.slice(0, colon).trim(), value: declaration.slice(colon + 1).trim() };
+}
+
+// ------------------------------
+// CSS CONFIG PARSING
+// ------------------------------
+
+/**
+ * Parses a @custom-variant body into the selector templates and media conditions it nests,
+ * e.g. "@media (any-hover: hover) { &:hover { @slot; } }".
+ * @param {string} body - The @custom-variant block body.
+ * @returns {{selectors: string[], media: string[]}} The selector templates ("&" is the utility's
+ *   selector) and media conditions, outermost first.
+ */
+function parseVariantBody(body) {
+  const variant = { selectors: [], media: [] };
+  let current = body;
+  while (current && !/@slot/.test(parseBlockBody(current).declarations.join(';'))) {
+    const block = parseBlockBody(current).blocks[0];
+    if (!block) break;
+    if (block.prelude.startsWith('@media')) variant.media.push(block.prelude.replace(/^@media\s+/, ''));
+    else if (block.prelude.includes('&')) variant.selectors.push(block.prelude);
+    current = block.body;
+  }
+  return variant;
+}
+
+/**
+ * Parses the Tailwind v4 configuration blocks of one or more CSS files.
+ * @param {string} css - The CSS source (several files can be concatenated).
+ * @returns {{variables: Object<string, string>, inlineVariables: string[], resets: string[],
+ *   keyframes: Object<string, Object<string, Object<string, string>>>, utilities: Object<string, string>,
+ *   customVariants: Object<string, {selectors: string[], media: string[]}>}}
+ *   The @theme variables, the names of those declared with `@theme inline`, the namespaces reset
+ *   with "--namespace-*: initial", the @keyframes declared inside @theme (frame -> declarations),
+ *   the @utility bodies by name (functional utilities keep their "-*" suffix), and the
+ *   @custom-variant definitions by name.
+ */
+function parseCssConfig(css) {
+  const source = stripComments(css);
+  const config = { variables: {}, inlineVariables: [], resets: [], keyframes: {}, utilities: {}, customVariants: {} };
+
+  findAtRules(source, 'theme').forEach(({ prelude, body }) => {
+    if (body === null) return;
+    const inline = /\binline\b/.test(prelude);
+    const { declarations, blocks } = parseBlockBody(body);
+    blocks.forEach((block) => {
+      const match = block.prelude.match(/^@keyframes\s+([\w-]+)$/);
+      if (!match) return;
+      config.keyframes[match[1]] = {};
+      parseBlockBody(block.body).blocks.forEach((frame) => {
+        const frameDeclarations = {};
+        parseBlockBody(frame.body).declarations.forEach((declaration) => {
+          const parts = splitDeclaration(declaration);
+          if (parts) frameDeclarations[parts.property] = parts.value;
+        });
+        config.keyframes[match[1]][frame.prelude] = frameDeclarations;
+      });
+    });
+    declarations.forEach((declaration) => {
+      const parts = splitDeclaration(declaration);
+      if (!parts || !parts.property.startsWith('--')) return;
+      const reset = parts.property.match(/^--(?:([\w-]+)-)?\*$/);
+      if (reset) {
+        if (parts.value === 'initial') config.resets.push(reset[1] || '*');
+        return;
+      }
+      config.variables[parts.property] = parts.value;
+      if (inline) config.inlineVariables.push(parts.property);
+    });
+  });
+
+  findAtRules(source, 'utility').forEach(({ prelude, body }) => {
+    if (body !== null && /^[\w-]+(?:-\*)?$/.test(prelude)) config.utilities[prelude] = body;
+  });
+
+  findAtRules(source, 'custom-variant').forEach(({ prelude, body }) => {
+    const match = prelude.match(/^([\w-]+)\s*(?:\((.*)\))?$/);
+    if (!match) return;
+    if (body !== null) {
+      config.customVariants[match[1]] = parseVariantBody(body);
+    } else if (match[2]) {
+      // Shorthand: "@custom-variant name (&:where(...));" or "@custom-variant name (@media (...));"
+      const shorthand = match[2].trim();
+      config.customVariants[match[1]] = shorthand.startsWith('@media')
+        ? { selectors: [], media: [shorthand.replace(/^@media\s+/, '')] }
+        : { selectors: shorthand.split(/\s*;\s*/).filter(Boolean), media: [] };
+    }
+  });
+
+  return config;
+}
+
+// ------------------------------
+// THEME INTEGRATION
+// ------------------------------
+
+/**
+ * Theme variable namespaces and the theme keys they populate.
+ */
+const namespaceThemeKeys = {
+  color: 'colors',
+  spacing: 'spacing',
+  breakpoint: 'screens',
+  text: 'fontSize',
+  font: 'fontFamily',
+  'font-weight': 'fontWeight',
+  leading: 'lineHeight',
+  tracking: 'letterSpacing',
+  container: 'containers',
+  radius: 'borderRadius',
+  shadow: 'boxShadow',
+  blur: 'blur',
+  ease: 'transitionTimingFunction',
+  animate: 'animation',
+};
+
+/**
+ * Applies @theme variables over a resolved theme. Utilities reference the variables with var()
+ * (or use the raw value for `@theme inline`); breakpoints always use the raw value because
+ * media queries cannot read custom properties.
+ * @param {Object} theme - The resolved theme.
+ * @param {ReturnType<typeof parseCssConfig>} cssConfig - The parsed CSS configuration.
+ * @returns {Object} The theme with the CSS configuration applied.
+ */
+function applyCssTheme(theme, cssConfig) {
+  const result = Object.assign({}, theme);
+  cssConfig.resets.forEach((namespace) => {
+    Object.keys(namespaceThemeKeys).forEach((ns) => {
+      if (namespace === '*' || namespace === ns) result[namespaceThemeKeys[ns]] = {};
+    });
+  });
+  Object.keys(namespaceThemeKeys).forEach((ns) => {
+    result[namespaceThemeKeys[ns]] = Object.assign({}, result[namespaceThemeKeys[ns]]);
+  });
+
+  Object.keys(cssConfig.variables).forEach((property) => {
+    const rawValue = cssConfig.variables[property];
+    const value = cssConfig.inlineVariables.includes(property) ? rawValue : `var(${property})`;
+    let match;
+    if (property === '--spacing') {
+      // A spacing step makes every numeric spacing value a multiple of var(--spacing), as in v4.
+      Object.keys(result.spacing).forEach((key) => {
+        if (/^\d+(?:\.\d+)?$/.test(key) && key !== '0') delete result.spacing[key];
+      });
+    } else if ((match = property.match(/^--color-([\w-]+)$/))) {
+      result.colors[match[1]] = value;
+    } else if ((match = property.match(/^--spacing-([\w.-]+)$/))) {
+      result.spacing[match[1]] = value;
+    } else if ((match = property.match(/^--container-([\w-]+)$/))) {
+      result.containers[match[1]] = value;
+    } else if ((match = property.match(/^--radius-([\w-]+)$/))) {
+      result.borderRadius[match[1]] = value;
+    } else if ((match = property.match(/^--shadow-([\w-]+)$/))) {
+      result.boxShadow[match[1]] = value;
+    } else if ((match = property.match(/^--blur-([\w-]+)$/))) {
+      result.blur[match[1]] = value;
+    } else if ((match = property.match(/^--ease-([\w-]+)$/))) {
+      result.transitionTimingFunction[match[1]] = value;
+    } else if ((match = property.match(/^--animate-([\w-]+)$/))) {
+      // Animations keep their raw value so that generated rules name the keyframes they use.
+      result.animation[match[1]] = rawValue;
+    } else if ((match = property.match(/^--breakpoint-([\w-]+)$/))) {
+      result.screens[match[1]] = rawValue;
+    } else if ((match = property.match(/^--text-([\w-]+?)(--line-height)?$/))) {
+      const current = result.fontSize[match[1]] || [null, {}];
+      result.fontSize[match[1]] = match[2]
+        ? [current[0], Object.assign({}, current[1], { lineHeight: value })]
+        : [value, current[1] || {}];
+    } else if ((match = property.match(/^--font-weight-([\w-]+)$/))) {
+      result.fontWeight[match[1]] = value;
+    } else if ((match = property.match(/^--font-([\w-]+)$/))) {
+      result.fontFamily[match[1]] = value;
+    } else if ((match = property.match(/^--leading-([\w-]+)$/))) {
+      result.lineHeight[match[1]] = value;
+    } else if ((match = property.match(/^--tracking-([\w-]+)$/))) {
+      result.letterSpacing[match[1]] = value;
+    }
+  });
+  result.keyframes = Object.assign({}, result.keyframes, cssConfig.keyframes);
+  return result;
+}
+
+module.exports = {
+  parseCssConfig,
+  parseBlockBody,
+  splitDeclaration,
+  applyCssTheme,
+};
@@ -0,0 +1,473 @@
+/**
+ * @file flex-layout.js
+ * @description Translates Angular Flex Layout directives into utility classes and migrates templates to them.
+ *
+ * `fxLayout`, `fxLayoutAlign`, `fxLayoutGap`, `fxFlex`, `fxFlexAlign`, `fxFill`/`fxFlexFill`, `fxHide` and
+ * `fxShow` are read with their breakpoint aliases (`fxLayout.lt-md`, `fxHide.gt-sm`, …). Each directive is
+ * resolved for every Flex Layout breakpoint range the way the library picks the active value, and the
+ * result is written mobile-first: the classes of the smallest range, then an arbitrary breakpoint variant at
+ * the width Flex Layout starts the range at (e.g. `min-[960px]:flex-row`) wherever a wider range differs.
+ * Bound directives (`[fxLayout]="…"`), interpolated values and directives without an equivalent (e.g.
+ * `fxFlexOffset`) are left as they are.
+ */
+
+// ------------------------------
+// REQUIRED MODULES
+// ------------------------------
+const { defaultTheme } = require('./theme');
+
+// ------------------------------
+// BREAKPOINTS
+// ------------------------------
+
+/**
+ * The ranges Flex Layout's breakpoint aliases are made of, narrowest first, and the variant each range
+ * maps to: a min-width at the width the range starts at in Flex Layout (xs is below 600px, sm below 960px,
+ * …), so the layout switches where it did. The smallest range is the base, without a variant.
+ */
+const ranges = ['xs', 'sm', 'md', 'lg', 'xl'];
+const rangeVariants = { xs: null, sm: 'min-[600px]', md: 'min-[960px]', lg: 'min-[1280px]', xl: 'min-[1920px]' };
+
+/**
+ * The ranges each alias covers and its priority; when several aliases cover a range, Flex Layout uses
+ * the value of the one with the highest priority. A directive without an alias covers every range.
+ */
+const aliases = {
+  '': { ranges, priority: -1000 },
+  xs: { ranges: ['xs'], priority: 1000 },
+  sm: { ranges: ['sm'], priority: 900 },
+  md: { ranges: ['md'], priority: 800 },
+  lg: { ranges: ['lg'], priority: 700 },
+  xl: { ranges: ['xl'], priority: 600 },
+  'lt-sm': { ranges: ['xs'], priority: 950 },
+  'lt-md': { ranges: ['xs', 'sm'], priority: 850 },
+  'lt-lg': { ranges: ['xs', 'sm', 'md'], priority: 750 },
+  'lt-xl': { ranges: ['xs', 'sm', 'md', 'lg'], priority: 650 },
+  'gt-xs': { ranges: ['sm', 'md', 'lg', 'xl'], priority: -950 },
+  'gt-sm': { ranges: ['md', 'lg', 'xl'], priority: -850 },
+  'gt-md': { ranges: ['lg', 'xl'], priority: -750 },
+  'gt-lg': { ranges: ['xl'], priority: -650 },
+};
+
+// ------------------------------
+// DIRECTIVE VALUES
+// ------------------------------
+
+const directionClasses = {
+  row: 'flex-row',
+  column: 'flex-col',
+  'row-reverse': 'flex-row-reverse',
+  'column-reverse': 'flex-col-reverse',
+};
+const wrapClasses = { wrap: 'flex-wrap', 'wrap-reverse': 'flex-wrap-reverse', nowrap: 'flex-nowrap' };
+const justifyClasses = {
+  start: 'justify-start',
+  'flex-start': 'justify-start',
+  center: 'justify-center',
+  end: 'justify-end',
+  'flex-end': 'justify-end',
+  'space-around': 'justify-around',
+  'space-between': 'justify-between',
+  'space-evenly': 'justify-evenly',
+};
+const itemsClasses = {
+  start: 'items-start',
+  'flex-start': 'items-start',
+  center: 'items-center',
+  end: 'items-end',
+  'flex-end': 'items-end',
+  baseline: 'items-baseline',
+  stretch: 'items-stretch',
+  'space-between': 'items-stretch',
+  'space-around': 'items-stretch',
+};
+// Cross-axis values that only distribute the lines of a wrapping container.
+const contentClasses = { 'space-between': 'content-between', 'space-around': 'content-around' };
+const selfClasses = {
+  auto: 'self-auto',
+  start: 'self-start',
+  center: 'self-center',
+  end: 'self-end',
+  baseline: 'self-baseline',
+  stretch: 'self-stretch',
+};
+const fillClasses = { margin: 'm-0', width: 'w-full', height: 'h-full', minWidth: 'min-w-full', minHeight: 'min-h-full' };
+// fxFlex keywords and the flex shorthand they set.
+const flexKeywords = {
+  '': 'flex-1',
+  auto: 'flex-auto',
+  none: 'flex-none',
+  initial: 'flex-initial',
+  nogrow: 'flex-initial',
+  grow: 'flex-[1_1_100%]',
+  noshrink: 'flex-[1_0_auto]',
+};
+
+/**
+ * The directives translated, by attribute name, and the value each one sets.
+ */
+const directiveKeys = {
+  fxLayout: 'layout',
+  fxLayoutAlign: 'align',
+  fxLayoutGap: 'gap',
+  fxFlex: 'flex',
+  fxFlexAlign: 'flexAlign',
+  fxFill: 'fill',
+  fxFlexFill: 'fill',
+  fxHide: 'hide',
+  fxShow: 'hide',
+};
+
+/**
+ * The classes each element property is written with, in output order, and the class that restores
+ * its default when a wider range no longer sets it (null where Flex Layout has no responsive form).
+ */
+const slotDefaults = {
+  display: 'block',
+  direction: 'flex-row',
+  wrap: 'flex-nowrap',
+  justify: 'justify-start',
+  items: 'items-stretch',
+  content: 'content-normal',
+  columnGap: 'gap-x-0',
+  rowGap: 'gap-y-0',
+  flex: 'flex-initial',
+  maxWidth: 'max-w-none',
+  maxHeight: 'max-h-none',
+  self: 'self-auto',
+  margin: null,
+  width: null,
+  height: null,
+  minWidth: null,
+  minHeight: null,
+};
+
+/**
+ * Converts a px or rem length into pixels.
+ * @param {string} length - The length; unitless numbers are pixels, as in Flex Layout.
+ * @returns {number|null} The pixels, or null for any other value.
+ */
+function toPixels(length) {
+  const match = String(length).match(/^(\d*\.?\d+)(px|rem)?$/);
+  if (!match) return null;
+  return match[2] === 'rem' ? Number(match[1]) * 16 : Number(match[1]);
+}
+
+/**
+ * Turns a length into a spacing key: the key of the theme's spacing scale with the same value (e.g.
+ * "16px" -> "4" by default), or an arbitrary value (e.g. "[2em]").
+ * @param {string} length - The CSS length.
+ * @param {Object} theme - The resolved theme, whose spacing scale is searched.
+ * @returns {string} The key.
+ */
+function spacingKey(length, theme) {
+  const pixels = toPixels(length);
+  if (pixels !== null) {
+    const key = Object.keys(theme.spacing).find((name) => toPixels(theme.spacing[name]) === pixels);
+    if (key) return key;
+  }
+  return `[${length.replace(/\s+/g, '_')}]`;
+}
+
+/**
+ * Parses the flex-basis of an fxFlex value: a number is a percentage, as in Flex Layout.
+ * @param {string} basis - The basis (e.g. "30", "30%", "200px" or "calc(100% - 2rem)").
+ * @returns {string|null} The CSS basis, or null if it is not one.
+ */
+function parseBasis(basis) {
+  if (/^\d*\.?\d+$/.test(basis)) return `${basis}%`;
+  if (/^(?:\d*\.?\d+)(?:%|px|r?em|v[wh]|ch)$/.test(basis) || /^calc\(.*\)$/.test(basis)) return basis;
+  return null;
+}
+
+/**
+ * Parses the value of a directive.
+ * @param {string} name - The directive name (e.g. "fxLayout").
+ * @param {string} value - The attribute value; an empty string for attributes without one.
+ * @param {Object} theme - The resolved theme, for the spacing keys of fxLayoutGap.
+ * @returns {Object|null} The parsed value, or null if it cannot be translated.
+ */
+function parseDirectiveValue(name, value, theme) {
+  const tokens = value.trim().split(/\s+/).filter(Boolean);
+  switch (directiveKeys[name]) {
+    case 'layout': {
+      const layout = { direction: 'row', wrap: null, inline: false };
+      for (const token of tokens) {
+        if (directionClasses.hasOwnProperty(token)) layout.direction = token;
+        else if (wrapClasses.hasOwnProperty(token)) layout.wrap = token;
+        else if (token === 'inline') layout.inline = true;
+        else return null;
+      }
+      return layout;
+    }
+    case 'align': {
+      const [main = 'start', cross = 'stretch'] = tokens;
+      if (tokens.length > 2 || !justifyClasses.hasOwnProperty(main) || !itemsClasses.hasOwnProperty(cross)) return null;
+      return { main, cross };
+    }
+    case 'gap': {
+      const match = value.trim().match(/^(\S+)(\s+grid)?$/);
+      return match ? { key: spacingKey(match[1], theme), grid: Boolean(match[2]) } : null;
+    }
+    case 'flex': {
+      const keyword = value.trim();
+      if (flexKeywords.hasOwnProperty(keyword)) return { flex: flexKeywords[keyword], basis: null };
+      if (tokens.length === 3 && /^\d+$/.test(tokens[0]) && /^\d+$/.test(tokens[1])) {
+        const basis = tokens[2] === 'auto' ? 'auto' : parseBasis(tokens[2]);
+        return basis ? { flex: `flex-[${tokens[0]}_${tokens[1]}_${basis}]`, basis: null } : null;
+      }
+      const basis = parseBasis(keyword.replace(/\s+/g, '_'));
+      if (!basis) return null;
+      return { flex: `flex-[1_1_${basis}]`, basis: basis.startsWith('calc(') ? null : basis };
+    }
+    case 'flexAlign':
+      return selfClasses.hasOwnProperty(value.trim()) ? selfClasses[value.trim()] : null;
+    case 'fill':
+      return tokens.length ? null : true;
+    case 'hide': {
+      if (!['', 'true', 'false'].includes(value.trim())) return null;
+      return (value.trim() === 'false') === (name === 'fxShow');
+    }
+    default:
+      return null;
+  }
+}
+
+// ------------------------------
+// TRANSLATION
+// ------------------------------
+
+/**
+ * Finds the value a directive has in a range: the value of the alias with the highest priority
+ * among those covering the range.
+ * @param {{key: string, alias: string, value: *}[]} directives - The element's translatable directives.
+ * @param {string} key - The value to look up (e.g. "layout").
+ * @param {string} range - The range (e.g. "md").
+ * @returns {*} The value, or undefined if no directive sets it in the range.
+ */
+function valueInRange(directives, key, range) {
+  let best;
+  directives.forEach((directive) => {
+    const alias = aliases[directive.alias];
+    if (directive.key !== key || !alias.ranges.includes(range)) return;
+    if (!best || alias.priority >= aliases[best.alias].priority) best = directive;
+  });
+  return best ? best.value : undefined;
+}
+
+/**
+ * Translates the directive values of one range into a class per element property.
+ * @param {Object} values - The element's values in the range (layout, align, gap, flex, flexAlign, fill, hide).
+ * @param {string} parentDirection - The flex direction of the parent in the range.
+ * @returns {Object<string, string>} The class of each property that is set (see slotDefaults).
+ */
+function translateValues(values, parentDirection) {
+  const { layout, align, gap, flex, flexAlign, fill, hide } = values;
+  const slots = {};
+  const direction = layout ? layout.direction : 'row';
+  if (layout || align) {
+    // fxLayoutAlign makes its element a flex container too.
+    slots.display = layout && layout.inline ? 'inline-flex' : 'flex';
+    slots.direction = directionClasses[direction];
+    if (layout && layout.wrap) slots.wrap = wrapClasses[layout.wrap];
+  }
+  if (align) {
+    slots.justify = justifyClasses[align.main];
+    slots.items = itemsClasses[align.cross];
+    if (contentClasses.hasOwnProperty(align.cross)) slots.content = contentClasses[align.cross];
+  }
+  if (gap) {
+    // The gap runs along the main axis, or both axes with "grid".
+    if (gap.grid || direction.startsWith('row')) slots.columnGap = `gap-x-${gap.key}`;
+    if (gap.grid || direction.startsWith('column')) slots.rowGap = `gap-y-${gap.key}`;
+  }
+  if (flex) {
+    slots.flex = flex.flex;
+    // A basis is also the item's maximum size along its parent's main axis.
+    if (flex.basis && parentDirection.startsWith('column')) slots.maxHeight = `max-h-[${flex.basis}]`;
+    else if (flex.basis) slots.maxWidth = `max-w-[${flex.basis}]`;
+  }
+  if (flexAlign) slots.self = flexAlign;
+  if (fill) Object.assign(slots, fillClasses);
+  if (hide) slots.display = 'hidden';
+  return slots;
+}
+
+/**
+ * Translates the directives of an element into mobile-first classes.
+ * @param {{key: string, alias: string, value: *}[]} directives - The element's translatable directives.
+ * @param {{key: string, alias: string, value: *}[]} parentDirectives - Those of its parent, for fxFlex.
+ * @returns {string[]} The classes: the base ones, then those of each wider range that differ.
+ */
+function translateDirectives(directives, parentDirectives) {
+  const keys = Array.from(new Set(Object.values(directiveKeys)));
+  const slotsByRange = ranges.map((range) => {
+    const values = {};
+    keys.forEach((key) => (values[key] = valueInRange(directives, key, range)));
+    const parentLayout = valueInRange(parentDirectives, 'layout', range);
+    return translateValues(values, parentLayout ? parentLayout.direction : 'row');
+  });
+
+  const classesByRange = ranges.map(() => []);
+  Object.keys(slotDefaults).forEach((slot) => {
+    const effective = (slots) => (slots[slot] !== undefined ? slots[slot] : slotDefaults[slot]);
+    ranges.forEach((range, i) => {
+      const value = effective(slotsByRange[i]);
+      const previous = i === 0 ? slotDefaults[slot] : effective(slotsByRange[i - 1]);
+      if (!value || value === previous) return;
+      classesByRange[i].push(rangeVariants[range] ? `${rangeVariants[range]}:${value}` : value);
+    });
+  });
+  return [].concat(...classesByRange);
+}
+
+// ------------------------------
+// TEMPLATES
+// ------------------------------
+
+/**
+ * Elements that have no end tag.
+ */
+const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+/**
+ * Elements that are not rendered, so their children are laid out by the closest rendered ancestor.
+ */
+const transparentElements = ['ng-container', 'ng-template'];
+
+/**
+ * Finds the elements of a template that use Flex Layout directives.
+ * @param {string} content - The template (or a component file with an inline template).
+ * @param {Object} theme - The resolved theme, for the spacing keys of fxLayoutGap.
+ * @returns {{directives: Object[], skipped: Object[], classAttribute: Object|null}[]} Per element, in
+ *   source order: its translatable directives (`name`, `key`, `alias`, `value`, `start`, `end`), those
+ *   left as they are (`name`, `start`, `end`) and its static class attribute (`value`, `valueStart`,
+ *   `valueEnd`), if any. Directives also carry the directives of the element's parent as `parentDirectives`.
+ */
+function findFlexLayoutElements(content, theme) {
+  // Comments are blanked rather than removed, so positions still match the content.
+  const html = content.replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, ' '));
+  const tagRegex = /<(\/?)([a-zA-Z][\w:.-]*)((?:\s+(?:[^\s"'>\/=]|\/(?!>))+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+  const attrRegex = /((?:[^\s"'>\/=]|\/(?!>))+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  const directiveRegex = /^(fx[A-Za-z]+)(?:\.([\w-]+))?$/;
+  const elements = [];
+  const stack = [];
+  let tag;
+  while ((tag = tagRegex.exec(html)) !== null) {
+    const tagName = tag[2].toLowerCase();
+    if (tag[1]) {
+      const open = stack.map((entry) => entry.tagName).lastIndexOf(tagName);
+      if (open !== -1) stack.length = open;
+      continue;
+    }
+    const parent = stack
+      .slice()
+      .reverse()
+      .find((entry) => !transparentElements.includes(entry.tagName));
+    const element = {
+      directives: [],
+      skipped: [],
+      classAttribute: null,
+      parentDirectives: parent ? parent.directives : [],
+    };
+    const attrsStart = tag.index + 1 + tag[2].length;
+    let attr;
+    while ((attr = attrRegex.exec(tag[3])) !== null) {
+      const name = attr[1];
+      const value = [attr[2], attr[3], attr[4]].find((part) => part !== undefined);
+      const start = attrsStart + attr.index;
+      const end = start + attr[0].length;
+      if (name === 'class' && value !== undefined) {
+        // The value ends the attribute, before its closing quote if it has one.
+        const valueEnd = end - (attr[4] !== undefined ? 0 : 1);
+        element.classAttribute = { value, valueStart: valueEnd - value.length, valueEnd };
+        continue;
+      }
+      const directive = name.replace(/^\[(.*)\]$/, '$1').match(directiveRegex);
+      if (!directive) continue;
+      // Bindings, interpolation, unknown aliases and a responsive fxFill cannot be translated.
+      const translatable =
+        !name.startsWith('[') &&
+        directiveKeys.hasOwnProperty(directive[1]) &&
+        aliases.hasOwnProperty(directive[2] || '') &&
+        !(directive[2] && directiveKeys[directive[1]] === 'fill') &&
+        !/\{\{/.test(value || '');
+      const parsed = translatable ? parseDirectiveValue(directive[1], value || '', theme) : null;
+      if (parsed === null) {
+        element.skipped.push({ name, start, end });
+        continue;
+      }
+      element.directives.push({
+        name,
+        key: directiveKeys[directive[1]],
+        alias: directive[2] || '',
+        value: parsed,
+        start,
+        end,
+      });
+    }
+    if (element.directives.length || element.skipped.length) elements.push(element);
+    if (!tag[4] && !voidElements.includes(tagName)) stack.push({ tagName, directives: element.directives });
+  }
+  return elements;
+}
+
+/**
+ * Extracts the classes the Flex Layout directives of a template translate to, so their rules are generated.
+ * @param {string} content - The template (or a component file with an inline template).
+ * @param {Set<string>} classSet - The set to add the class names to.
+ * @param {string} [filename] - The file name (unused).
+ * @param {Object} [theme] - The resolved theme, for the spacing keys of fxLayoutGap (defaults to the default theme).
+ */
+function extractFlexLayoutClasses(content, classSet, filename, theme = defaultTheme) {
+  findFlexLayoutElements(content, theme).forEach((element) => {
+    translateDirectives(element.directives, element.parentDirectives).forEach((cls) => classSet.add(cls));
+  });
+}
+
+/**
+ * Replaces the Flex Layout directives of a template with the classes they translate to. The classes
+ * are appended to the element's class attribute, or a class attribute takes the place of the first directive.
+ * @param {string} content - The template (or a component file with an inline template).
+ * @param {Object} [theme] - The resolved theme, for the spacing keys of fxLayoutGap (defaults to the default theme).
+ * @returns {{content: string, count: number, skipped: {name: string, line: number}[]}} The migrated
+ *   content, the number of directives replaced and the directives left in place, with their line.
+ */
+function migrateFlexLayout(content, theme = defaultTheme) {
+  const edits = [];
+  const skipped = [];
+  let count = 0;
+  const lineOf = (index) => content.slice(0, index).split('\n').length;
+  findFlexLayoutElements(content, theme).forEach((element) => {
+    element.skipped.forEach(({ name, start }) => skipped.push({ name, line: lineOf(start) }));
+    if (!element.directives.length) return;
+    const classes = translateDirectives(element.directives, element.parentDirectives);
+    count += element.directives.length;
+    // Each directive goes with the whitespace before it.
+    const removals = element.directives.map(({ start, end }) => ({
+      start: start - content.slice(0, start).match(/\s*$/)[0].length,
+      end,
+      text: '',
+    }));
+    const { classAttribute } = element;
+    if (classAttribute) {
+      const existing = classAttribute.value.split(/\s+/).filter(Boolean);
+      const added = classes.filter((cls) => !existing.includes(cls));
+      const separator = existing.length && added.length ? ' ' : '';
+      const value = classAttribute.value.replace(/\s*$/, '') + separator + added.join(' ');
+      edits.push({ start: classAttribute.valueStart, end: classAttribute.valueEnd, text: value });
+    } else if (classes.length) {
+      removals[0].text = ` class="${classes.join(' ')}"`;
+    }
+    edits.push(...removals);
+  });
+  const migrated = edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), content);
+  return { content: migrated, count, skipped };
+}
+
+module.exports = {
+  extractFlexLayoutClasses,
+  migrateFlexLayout,
+};
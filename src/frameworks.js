@@ -0,0 +1,221 @@
+/**
+ * @file frameworks.js
+ * @description Extracts class names from React (JSX/TSX), Vue and Svelte components and from the
+ * arguments of class helpers such as clsx, classnames, cn, cva and twMerge.
+ *
+ * Like the Angular extraction, only class attributes, class directives and helper arguments are
+ * read, and their expressions only contribute string literals, template literal text and (where the
+ * syntax maps keys to conditions) object keys.
+ */
+
+// ------------------------------
+// REQUIRED MODULES
+// ------------------------------
+const { addClassList, findClosingBracket, forEachAttribute } = require('./angular');
+
+// ------------------------------
+// EXPRESSION PARSING
+// ------------------------------
+
+/**
+ * Functions whose string arguments are class lists.
+ */
+const classHelpers = ['clsx', 'classnames', 'classNames', 'cn', 'cx', 'twMerge', 'twJoin', 'cva', 'tv'];
+
+/**
+ * Extracts the classes a JavaScript expression can produce: its string literals (except those
+ * compared with ==/!=, and object keys unless `objectKeys` is set) and the text of its template
+ * literals, including the expressions in their ${} placeholders.
+ * @param {string} expression - The expression source.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ * @param {boolean} [objectKeys] - Treat object keys as classes, as clsx, Vue and Svelte do for
+ *   `{ 'p-4': isOpen, active: isActive }`.
+ */
+function extractScriptExpressionClasses(expression, classSet, objectKeys = false) {
+  // Read template literals first and leave a placeholder in their place; string literals are read from the rest.
+  let rest = '';
+  for (let i = 0; i < expression.length; i++) {
+    const ch = expression[i];
+    if (ch === '"' || ch === "'") {
+      let end = i + 1;
+      while (end < expression.length && expression[end] !== ch) end += expression[end] === '\\' ? 2 : 1;
+      rest += expression.slice(i, end + 1);
+      i = end;
+    } else if (ch === '`') {
+      let text = '';
+      let end = i + 1;
+      while (end < expression.length && expression[end] !== '`') {
+        if (expression[end] === '\\') {
+          text += expression.slice(end, end + 2);
+          end += 2;
+        } else if (expression.startsWith('${', end)) {
+          const close = findClosingBracket(expression, end + 1);
+          if (close === -1) break;
+          extractScriptExpressionClasses(expression.slice(end + 2, close), classSet, objectKeys);
+          // "{}" makes a partial class next to the placeholder (e.g. `mb-${n}`) invalid.
+          text += '{}';
+          end = close + 1;
+        } else {
+          text += expression[end++];
+        }
+      }
+      addClassList(text, classSet);
+      rest += '0';
+      i = end;
+    } else {
+      rest += ch;
+    }
+  }
+
+  const literalRegex = /(['"])((?:\\.|(?!\1)[^\\])*)\1/g;
+  let match;
+  while ((match = literalRegex.exec(rest)) !== null) {
+    const before = rest.slice(0, match.index);
+    const after = rest.slice(match.index + match[0].length);
+    if (/[=!]==?\s*$/.test(before) || /^\s*[=!]==?/.test(after)) continue;
+    if (!objectKeys && /[{,]\s*$/.test(before) && /^\s*:/.test(after)) continue;
+    addClassList(match[2], classSet);
+  }
+  if (objectKeys) {
+    const keyRegex = /[{,]\s*([A-Za-z_$][\w$]*)\s*:/g;
+    while ((match = keyRegex.exec(rest)) !== null) addClassList(match[1], classSet);
+  }
+}
+
+/**
+ * Extracts the classes of a cva()/tv() call: its base classes and variant values. Variant names,
+ * `defaultVariants` and the conditions of `compoundVariants` are not classes; only the `class` and
+ * `className` values of compound variants are.
+ * @param {string} args - The call's arguments.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractVariantConfigClasses(args, classSet) {
+  let remaining = args;
+  const sectionRegex = /\b(defaultVariants|compoundVariants|compoundSlots)\s*:\s*([{[])/g;
+  let match;
+  while ((match = sectionRegex.exec(args)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(args, open);
+    if (close === -1) break;
+    if (match[1] !== 'defaultVariants') {
+      const section = args.slice(open, close + 1);
+      const classKeyRegex = /\b(?:class|className)\s*:\s*(?:(['"])((?:\\.|(?!\1)[^\\])*)\1|\[)/g;
+      let entry;
+      while ((entry = classKeyRegex.exec(section)) !== null) {
+        if (entry[1]) {
+          addClassList(entry[2], classSet);
+        } else {
+          const listOpen = entry.index + entry[0].length - 1;
+          extractScriptExpressionClasses(section.slice(listOpen, findClosingBracket(section, listOpen) + 1), classSet);
+        }
+      }
+    }
+    remaining = remaining.slice(0, match.index) + ' '.repeat(close + 1 - match.index) + remaining.slice(close + 1);
+    sectionRegex.lastIndex = close + 1;
+  }
+  extractScriptExpressionClasses(remaining, classSet);
+}
+
+/**
+ * Extracts the class arguments of class helper calls, e.g. `clsx('p-4', { 'bg-white': open })`,
+ * `cn(base, active && 'ring-2')`, `twMerge(\`px-2 ${size}\`)` and `cva('rounded', { variants: … })`.
+ * @param {string} content - The source code.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractClassHelperCalls(content, classSet) {
+  const callRegex = new RegExp(`(?<![\\w$.])(${classHelpers.join('|')})\\s*\\(`, 'g');
+  let match;
+  while ((match = callRegex.exec(content)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(content, open);
+    if (close === -1) continue;
+    const args = content.slice(open + 1, close);
+    if (match[1] === 'cva' || match[1] === 'tv') extractVariantConfigClasses(args, classSet);
+    else extractScriptExpressionClasses(args, classSet, true);
+  }
+}
+
+// ------------------------------
+// COMPONENTS
+// ------------------------------
+
+/**
+ * Extracts the classes of JSX `className`/`class` attributes, as strings (`className="p-4"`) or
+ * expressions (`className={open ? 'flex' : 'hidden'}`, template literals included), and the keys
+ * of Solid's `classList={{ … }}`.
+ * @param {string} content - The JSX/TSX source.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractJsxClasses(content, classSet) {
+  const attrRegex = /(?<![\w$.-])(className|class|classList)\s*=\s*(?:"([^"]*)"|'([^']*)'|\{)/g;
+  let match;
+  while ((match = attrRegex.exec(content)) !== null) {
+    if (match[2] !== undefined || match[3] !== undefined) {
+      addClassList(match[2] !== undefined ? match[2] : match[3], classSet);
+      continue;
+    }
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(content, open);
+    if (close === -1) continue;
+    extractScriptExpressionClasses(content.slice(open + 1, close), classSet, match[1] === 'classList');
+  }
+}
+
+/**
+ * Extracts the classes of a Vue single-file component's template: static `class` attributes and
+ * `:class` / `v-bind:class` bindings in object (`{ 'p-4': open }`), array and string syntax.
+ * @param {string} content - The .vue file content.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractVueClasses(content, classSet) {
+  forEachAttribute(content, (name, value) => {
+    if (name === 'class') addClassList(value, classSet);
+    else if (name === ':class' || name === 'v-bind:class') extractScriptExpressionClasses(value, classSet, true);
+  });
+}
+
+/**
+ * Extracts the classes of a Svelte component: `class` attributes with `{…}` expressions,
+ * `class={…}` (including Svelte 5 object and array syntax) and `class:name` directives.
+ * @param {string} content - The .svelte file content.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractSvelteClasses(content, classSet) {
+  const attrRegex = /(?<=\s)class(?::((?:[^\s=>\/]|\/(?!>))+))?(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|\{))?/g;
+  let match;
+  while ((match = attrRegex.exec(content)) !== null) {
+    if (match[1]) {
+      addClassList(match[1], classSet);
+      continue;
+    }
+    const value = match[2] !== undefined ? match[2] : match[3];
+    if (value !== undefined) {
+      // Static text with {expression} parts.
+      let text = '';
+      for (let i = 0; i < value.length; i++) {
+        const close = value[i] === '{' ? findClosingBracket(value, i) : -1;
+        if (close === -1) {
+          text += value[i];
+          continue;
+        }
+        extractScriptExpressionClasses(value.slice(i + 1, close), classSet, true);
+        text += '{}';
+        i = close;
+      }
+      addClassList(text, classSet);
+    } else if (match[0].endsWith('{')) {
+      const open = match.index + match[0].length - 1;
+      const close = findClosingBracket(content, open);
+      if (close !== -1) extractScriptExpressionClasses(content.slice(open + 1, close), classSet, true);
+    }
+  }
+}
+
+module.exports = {
+  classHelpers,
+  extractScriptExpressionClasses,
+  extractClassHelperCalls,
+  extractJsxClasses,
+  extractVueClasses,
+  extractSvelteClasses,
+};
@@ -0,0 +1,440 @@
+/**
+ * @file rewrite.js
+ * @description Rewrites utility class lists in HTML and Angular templates into semantic class names.
+ *
+ * Every `class="…"`, `ng-class="…"` and `[ngClass]="…"` list is split into the utilities the generator
+ * can convert and the classes it cannot (which are kept as they are); the utilities are replaced by one
+ * name, and the caller generates one combined rule per name. Only string literals and object keys of
+ * [ngClass] expressions are touched, so bindings keep working.
+ *
+ * `@apply` directives in SCSS files are replaced by the declarations of their utilities, with variants
+ * as nested `&:hover { … }` and `@media` blocks.
+ */
+
+// ------------------------------
+// REQUIRED MODULES
+// ------------------------------
+const crypto = require('crypto');
+const path = require('path');
+
+// ------------------------------
+// NAMING
+// ------------------------------
+
+/**
+ * Naming strategies for rewritten class lists.
+ */
+const namingStrategies = ['element', 'hash'];
+
+/**
+ * Turns text into a class-name-safe slug.
+ * @param {string} text - The text to convert (e.g., "UserCard").
+ * @returns {string} The slug (e.g., "usercard"), possibly empty.
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Derives the component name of a template file (e.g. "user-card" for "user-card.component.html").
+ * @param {string} file - The file path.
+ * @returns {string} The component name slug.
+ */
+function componentName(file) {
+  return slugify(path.basename(file).split('.')[0]);
+}
+
+/**
+ * Creates a namer that hands out stable names for class lists. The same list in the same component
+ * ("element" strategy) or anywhere ("hash" strategy) always gets the same name.
+ * @param {string} [strategy] - "element" (default): "<component>-<tag>", numbered on collisions;
+ *   "hash": "tw-" followed by a hash of the class list.
+ * @param {function(string): boolean} [isReserved] - Returns true for names that must not be used
+ *   (e.g. names that are themselves utilities).
+ * @returns {{nameFor: function(string[], {component: string, element: string}): string,
+ *   names: Map<string, string[]>}} The namer; `names` maps every name handed out to its class list.
+ * @throws {Error} If the strategy is unknown.
+ */
+function createNamer(strategy = 'element', isReserved = () => false) {
+  if (!namingStrategies.includes(strategy)) {
+    throw new Error(`Unknown naming strategy: ${strategy} (expected ${namingStrategies.join(', ')})`);
+  }
+  const names = new Map();
+  const namesByKey = new Map();
+
+  const nameFor = (classes, context) => {
+    const list = classes.join(' ');
+    const key = strategy === 'hash' ? list : `${context.component}|${list}`;
+    if (namesByKey.has(key)) return namesByKey.get(key);
+
+    let base;
+    if (strategy === 'hash') {
+      base = 'tw-' + crypto.createHash('sha1').update(list).digest('hex').slice(0, 8);
+    } else {
+      base = [context.component, slugify(context.element)].filter(Boolean).join('-') || 'element';
+      if (/^\d/.test(base)) base = 'c-' + base;
+    }
+    let name = base;
+    for (let i = 2; names.has(name) || isReserved(name); i++) name = `${base}-${i}`;
+
+    names.set(name, classes);
+    namesByKey.set(key, name);
+    return name;
+  };
+
+  return { nameFor, names };
+}
+
+// ------------------------------
+// TEMPLATE REWRITING
+// ------------------------------
+
+/**
+ * Finds the tag name of the element whose start tag contains the given index.
+ * @param {string} content - The template content.
+ * @param {number} index - The index of an attribute.
+ * @returns {string|null} The tag name, or null if the index is not inside a start tag.
+ */
+function enclosingTagName(content, index) {
+  const tagStart = content.lastIndexOf('<', index);
+  if (tagStart === -1 || content.lastIndexOf('>', index) > tagStart) return null;
+  const match = content.slice(tagStart).match(/^<([a-zA-Z][\w-]*)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Rewrites one class list.
+ * @param {string} list - The space-separated classes.
+ * @param {Object} state - The rewrite state: `isConvertible`, `namer` and the naming `context`.
+ * @returns {string} The rewritten list: the name followed by the classes that were kept, or the
+ *   original list if none of its classes can be converted.
+ */
+function rewriteClassList(list, state) {
+  const classes = list.trim().split(/\s+/).filter(Boolean);
+  const converted = classes.filter((cls) => state.isConvertible(cls));
+  if (!converted.length) return list;
+  const kept = classes.filter((cls) => !converted.includes(cls));
+  return [state.namer.nameFor(Array.from(new Set(converted)), state.context), ...kept].join(' ');
+}
+
+/**
+ * Rewrites the class lists of an [ngClass] / ng-class expression: the keys of object syntax
+ * ({'p-4 flex': isOpen}) or the string literals of string, array and ternary syntax. String
+ * literals compared with ==/=== are left alone, because they are values rather than classes.
+ * @param {string} expression - The attribute value.
+ * @param {string} quote - The attribute's quote character; unquoted keys are quoted with the other one.
+ * @param {Object} state - The rewrite state, see rewriteClassList.
+ * @returns {string} The rewritten expression.
+ */
+function rewriteNgClassExpression(expression, quote, state) {
+  const innerQuote = quote === '"' ? "'" : '"';
+  if (expression.trim().startsWith('{')) {
+    const keyRegex = /([{,]\s*)(?:(['"])([^'"]*)\2|([A-Za-z_$][\w$]*))(\s*:)/g;
+    return expression.replace(keyRegex, (match, before, keyQuote, quotedKey, bareKey, colon) => {
+      const list = quotedKey !== undefined ? quotedKey : bareKey;
+      const rewritten = rewriteClassList(list, state);
+      if (rewritten === list) return match;
+      const q = keyQuote || innerQuote;
+      return `${before}${q}${rewritten}${q}${colon}`;
+    });
+  }
+  return expression.replace(/(['"])([^'"]*)\1/g, (match, q, list, offset) => {
+    const before = expression.slice(0, offset);
+    const after = expression.slice(offset + match.length);
+    if (/[=!]==?\s*$/.test(before) || /^\s*[=!]==?/.test(after)) return match;
+    return `${q}${rewriteClassList(list, state)}${q}`;
+  });
+}
+
+/**
+ * Rewrites the class attributes of a template (an HTML file or a component with an inline template).
+ * Attributes containing interpolation ({{ }} or ${ }) are left untouched.
+ * @param {string} content - The file content.
+ * @param {Object} options - Rewrite options.
+ * @param {string} options.filename - The file name, used to derive component names.
+ * @param {function(string): boolean} options.isConvertible - Returns true for classes the generator converts.
+ * @param {ReturnType<typeof createNamer>} options.namer - The namer shared by every rewritten file.
+ * @returns {string} The rewritten content.
+ */
+function rewriteTemplate(content, options) {
+  const component = componentName(options.filename);
+  const attrRegex = /(?<=\s)(class|ng-class|\[ngClass\])(\s*=\s*)(?:"([^"]*)"|'([^']*)')/g;
+  return content.replace(attrRegex, (match, name, equals, doubleQuoted, singleQuoted, offset) => {
+    const element = enclosingTagName(content, offset);
+    const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+    if (!element || /\{\{|\$\{/.test(value)) return match;
+    const quote = doubleQuoted !== undefined ? '"' : "'";
+    const state = {
+      isConvertible: options.isConvertible,
+      namer: options.namer,
+      context: { component, element },
+    };
+    const rewritten = name === 'class' ? rewriteClassList(value, state) : rewriteNgClassExpression(value, quote, state);
+    return `${name}${equals}${quote}${rewritten}${quote}`;
+  });
+}
+
+// ------------------------------
+// SCSS @APPLY INLINING
+// ------------------------------
+
+/**
+ * Formats the declarations of an @apply directive as SCSS: declarations for the parent selector
+ * itself, then a nested block per other selector, each wrapped in its media query if it has one.
+ * @param {{query: string|null, rules: {selector: string, declarations: string[]}[]}[]} groups - The
+ *   declarations per media query and selector ("&" is the parent selector).
+ * @param {string} indent - The indentation of the directive.
+ * @returns {string[]} The lines to put in place of the directive, indented.
+ */
+function formatNestedDeclarations(groups, indent) {
+  const formatRules = (rules, ruleIndent) => {
+    const lines = [];
+    rules.forEach(({ selector, declarations }) => {
+      if (selector === '&') {
+        declarations.forEach((declaration) => lines.push(`${ruleIndent}${declaration};`));
+        return;
+      }
+      lines.push(`${ruleIndent}${selector} {`);
+      declarations.forEach((declaration) => lines.push(`${ruleIndent}  ${declaration};`));
+      lines.push(`${ruleIndent}}`);
+    });
+    return lines;
+  };
+
+  const lines = [];
+  groups.forEach(({ query, rules }) => {
+    if (!query) {
+      lines.push(...formatRules(rules, indent));
+      return;
+    }
+    lines.push(`${indent}@media ${query} {`, ...formatRules(rules, indent + '  '), `${indent}}`);
+  });
+  return lines;
+}
+
+/**
+ * Replaces the @apply directives of an SCSS file with the declarations of their utilities.
+ * `!important` applies to every declaration; classes that cannot be expanded stay in a shorter
+ * @apply directive, so nothing is dropped silently.
+ * @param {string} content - The SCSS content.
+ * @param {Object} options - Inlining options.
+ * @param {function(string[]): {groups: {query: string|null, rules: {selector: string,
+ *   declarations: string[]}[]}[], unresolved: string[]}} options.expand - Expands a list of classes
+ *   into their declarations, grouped as formatNestedDeclarations expects, and the classes it could not expand.
+ * @returns {{content: string, count: number}} The rewritten content and the number of directives inlined.
+ */
+function inlineApplyDirectives(content, options) {
+  let count = 0;
+  const applyRegex = /([ \t]*)@apply\s+([^;{}]+);/g;
+  const result = content.replace(applyRegex, (match, space, list, offset) => {
+    const lineStart = content.lastIndexOf('\n', offset) + 1;
+    const linePrefix = content.slice(lineStart, offset);
+    const indent = linePrefix.trim() ? linePrefix.match(/^[ \t]*/)[0] + '  ' : linePrefix + space;
+
+    const tokens = list.trim().split(/\s+/);
+    const important = tokens.includes('!important');
+    const classes = tokens.filter((token) => token !== '!important');
+    const { groups, unresolved } = options.expand(classes);
+    if (unresolved.length === classes.length) return match;
+    count++;
+
+    const suffix = important ? ' !important' : '';
+    const lines = [];
+    if (unresolved.length) lines.push(`${indent}@apply ${unresolved.join(' ')}${suffix};`);
+    const importantGroups = groups.map(({ query, rules }) => ({
+      query,
+      rules: rules.map(({ selector, declarations }) => ({
+        selector,
+        declarations: declarations.map((declaration) => declaration + suffix),
+      })),
+    }));
+    lines.push(...formatNestedDeclarations(importantGroups, indent));
+    // A directive after a "{" starts a new line.
+    return (linePrefix.trim() ? '\n' : '') + lines.join('\n');
+  });
+  return { content: result, count };
+}
+
+// ------------------------------
+// DIFF PREVIEW
+// ------------------------------
+
+/**
+ * Finds where to split two line ranges so that both halves can be compared on their own: a point on
+ * a shortest edit script, met by searching forward from the start and backward from the end at the same
+ * time (the "middle snake" of Myers' diff algorithm). Only two arrays the size of the ranges are kept.
+ * The ranges must differ in their first and in their last line.
+ * @param {string[]} a - The original lines.
+ * @param {string[]} b - The new lines.
+ * @param {number} aStart - The first line of the range of `a`.
+ * @param {number} aEnd - The end (exclusive) of the range of `a`.
+ * @param {number} bStart - The first line of the range of `b`.
+ * @param {number} bEnd - The end (exclusive) of the range of `b`.
+ * @returns {{x: number, y: number}|null} The split point, relative to the starts, or null if the ranges
+ *   have no line in common.
+ */
+function findMiddleSnake(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD + 1;
+  // The furthest x reached on each diagonal k = x - y, forward and backward (-1 for not reached).
+  const forward = new Int32Array(2 * offset + 1).fill(-1);
+  const backward = new Int32Array(2 * offset + 1).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the paths can only meet on a forward step, with an even one on a backward step.
+  const meetForward = delta % 2 !== 0;
+  // Diagonals that ran off the edit graph are not extended again.
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetForward) {
+        const reverseK = offset + delta - k;
+        if (reverseK >= 0 && reverseK < backward.length && backward[reverseK] !== -1 && x >= n - backward[reverseK]) {
+          return { x, y };
+        }
+      }
+    }
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!meetForward) {
+        const forwardK = offset + delta - k;
+        if (forwardK >= 0 && forwardK < forward.length && forward[forwardK] !== -1) {
+          const forwardX = forward[forwardK];
+          if (forwardX >= n - x) return { x: forwardX, y: forwardX - (forwardK - offset) };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Compares two lists of lines with Myers' diff algorithm in linear space, so large files can be
+ * compared without a table of every pair of lines.
+ * @param {string[]} a - The original lines.
+ * @param {string[]} b - The new lines.
+ * @returns {{type: string, text: string, aLine: number, bLine: number}[]} Every line of both lists in
+ *   diff order: " " for unchanged, "-" for removed and "+" for added lines, each with the number of lines
+ *   of `a` and of `b` before it.
+ */
+function diffLines(a, b) {
+  const lines = [];
+  const compare = (aStart, aEnd, bStart, bEnd) => {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+      lines.push({ type: ' ', text: a[aStart], aLine: aStart++, bLine: bStart++ });
+    }
+    let suffix = 0;
+    while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) suffix++;
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    const split = aStart < aEnd && bStart < bEnd ? findMiddleSnake(a, b, aStart, aEnd, bStart, bEnd) : null;
+    if (split) {
+      compare(aStart, aStart + split.x, bStart, bStart + split.y);
+      compare(aStart + split.x, aEnd, bStart + split.y, bEnd);
+    } else {
+      for (let i = aStart; i < aEnd; i++) lines.push({ type: '-', text: a[i], aLine: i, bLine: bStart });
+      for (let j = bStart; j < bEnd; j++) lines.push({ type: '+', text: b[j], aLine: aEnd, bLine: j });
+    }
+    for (let i = 0; i < suffix; i++) {
+      lines.push({ type: ' ', text: a[aEnd + i], aLine: aEnd + i, bLine: bEnd + i });
+    }
+  };
+  compare(0, a.length, 0, b.length);
+
+  // Within each run of changed lines, removed lines come before added ones, as in `diff -u`.
+  for (let start = 0; start < lines.length; start++) {
+    if (lines[start].type === ' ') continue;
+    let end = start;
+    while (end < lines.length && lines[end].type !== ' ') end++;
+    const { aLine, bLine } = lines[start];
+    const removed = lines.slice(start, end).filter((line) => line.type === '-');
+    const added = lines.slice(start, end).filter((line) => line.type === '+');
+    removed.forEach((line) => (line.bLine = bLine));
+    added.forEach((line) => (line.aLine = aLine + removed.length));
+    lines.splice(start, end - start, ...removed, ...added);
+    start = end;
+  }
+  return lines;
+}
+
+/**
+ * Creates a unified diff of two versions of a file, with three lines of context.
+ * @param {string} file - The file name shown in the diff header.
+ * @param {string} before - The original content.
+ * @param {string} after - The rewritten content.
+ * @returns {string} The diff, or an empty string if the contents are equal.
+ */
+function createDiff(file, before, after) {
+  if (before === after) return '';
+  // The newline that ends a file does not start another line; a new file has no lines at all.
+  const toLines = (content) => (content ? content.replace(/\n$/, '').split('\n') : []);
+  const lines = diffLines(toLines(before), toLines(after));
+
+  // Group changed lines with their context into hunks.
+  const context = 3;
+  const hunks = [];
+  lines.forEach((line, index) => {
+    if (line.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(lines.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  });
+
+  const output = [`--- a/${file}`, `+++ b/${file}`];
+  hunks.forEach(({ start, end }) => {
+    const hunkLines = lines.slice(start, end);
+    const aCount = hunkLines.filter((line) => line.type !== '+').length;
+    const bCount = hunkLines.filter((line) => line.type !== '-').length;
+    // An empty range is numbered after the line it follows, as in `diff -u`.
+    const aStart = hunkLines[0].aLine + (aCount ? 1 : 0);
+    const bStart = hunkLines[0].bLine + (bCount ? 1 : 0);
+    output.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@`);
+    hunkLines.forEach((line) => output.push(line.type + line.text));
+  });
+  return output.join('\n');
+}
+
+module.exports = {
+  namingStrategies,
+  createNamer,
+  rewriteTemplate,
+  inlineApplyDirectives,
+  createDiff,
+};
@@ -11,6 +11,9 @@
  *
  * Example:
  *   npx @ngnomads/tailwind2css projects ./src/styles.css
+ *
+ * The same conversion is available as a Node API:
+ *   const { extractClasses, generateCss, convert } = require('@ngnomads/tailwind2css');
  */
 
 // ------------------------------
@@ -19,68 +22,130 @@
 const fs = require('fs');
 const path = require('path');
 const { sync: globSync } = require('glob');
+const { resolveTheme, lookupColor, findTailwindConfig, loadTailwindConfig } = require('./theme');
+const defaultColors = require('./colors');
+const { parseCssConfig, parseBlockBody, splitDeclaration, applyCssTheme } = require('./css-config');
+const { createNamer, rewriteTemplate, inlineApplyDirectives, createDiff } = require('./rewrite');
+const { createWatcher } = require('./watch');
+const { formats, parseRule, formatRule, formatKeyframes, writeStylesheet } = require('./writers');
+const { extractTemplateClasses, extractComponentClasses, parseComponentMetadata, addStyleUrl } = require('./angular');
+const {
+  extractClassHelperCalls,
+  extractJsxClasses,
+  extractVueClasses,
+  extractSvelteClasses,
+} = require('./frameworks');
+const { extractFlexLayoutClasses, migrateFlexLayout } = require('./flex-layout');
 
 // ------------------------------
 // CONFIGURATION
 // ------------------------------
-const targetDir = process.argv[2] || 'projects';
-const outputCssFile = process.argv[3] || './tailwind.css';
-// Use path.join to build the pattern, then convert backslashes to forward slashes for cross-platform compatibility.
-// The glob library expects forward slashes in patterns, even on Windows.
-const pattern = path.join(targetDir, '**/*.{html,ts,scss}').replace(/\\/g, '/');
-const classSet = new Set(); // Set to store unique Tailwind-like class names
+const darkModes = ['media', 'class', 'selector'];
+// Never scanned: dependencies carry their own (often prebuilt) classes.
+const defaultIgnore = ['**/node_modules/**'];
+const settingsFileNames = [
+  'tailwind2css.config.json',
+  'tailwind2css.config.js',
+  'tailwind2css.config.cjs',
+  'tailwind2css.config.mjs',
+];
+// Component mode: classes used by this many components go to the shared stylesheet.
+const defaultSharedThreshold = 3;
+const componentStyleExtensions = ['css', 'scss'];
+// Output formats a component stylesheet can hold; the SCSS ones only go into .scss stylesheets.
+const componentFormats = ['css', 'scss-placeholders', 'scss-mixins'];
+// Marks the generated part of a component stylesheet, so later runs replace it and keep the rest.
+const generatedRegionStart = '/* tailwind2css:start - generated, do not edit */';
+const generatedRegionEnd = '/* tailwind2css:end */';
 
 // ------------------------------
 // CLASS EXTRACTION FUNCTIONS
 // ------------------------------
 
-/**
- * Extracts class names from attributes (class, ng-class, [ngClass]) in file content.
- * @param {string} content - The content of the file to search.
- */
-function extractClasses(content) {
-  const attrRegex = /(?:class|ng-class|\[ngClass\])\s*=\s*(?:"([^"]+)"|'([^']+)')/g;
-  let match;
-  while ((match = attrRegex.exec(content)) !== null) {
-    const attrValue = match[1] || match[2];
-    // Check for object or array syntax, then extract string literals if needed.
-    if (attrValue.trim().startsWith('{') || attrValue.trim().startsWith('[')) {
-      const stringLiteralRegex = /["']([^"']+)["']/g;
-      let innerMatch;
-      while ((innerMatch = stringLiteralRegex.exec(attrValue)) !== null) {
-        innerMatch[1].split(/\s+/).forEach((cls) => {
-          if (cls.trim()) classSet.add(cls.trim());
-        });
-      }
-    } else {
-      attrValue.split(/\s+/).forEach((cls) => {
-        if (cls.trim()) classSet.add(cls.trim());
-      });
-    }
-  }
-}
-
 /**
  * Uses a broad regular expression to capture common Tailwind-like classes.
  * @param {string} content - The file content to search.
+ * @param {Set<string>} classSet - The set to add the found class names to.
  */
-function extractPredefinedClasses(content) {
+function extractPredefinedClasses(content, classSet) {
   const tailwindRegex =
-    /\b(?:grid(?:-cols-\d+|-rows-\d+|-flow-(?:row|col|dense|row-dense|col-dense))?|col-(?:span-(?:\d+|full)|start-(?:\d+|auto)|end-(?:\d+|auto)|auto)|row-(?:span-(?:\d+|full)|start-(?:\d+|auto)|end-(?:\d+|auto)|auto)|auto-(?:cols|rows)-(?:auto|min|max|fr)|flex(?:-\[[^\]]+\]|-\d+(?:\/\d+)?|-\(.+?\))?|flex-row|flex-col|flex-wrap|flex-nowrap|flex-wrap-reverse|w-full|h-full|min-w-full|min-h-full|max-w-\[[^\]]+\]|max-h-\[[^\]]+\]|w-\[[^\]]+\]|h-\[[^\]]+\]|bg-\[[^\]]+\]|bg-[a-z]+-[0-9]{1,4}|gap-\[[^\]]+\]|gap-[0-9]+|box-border|justify-(?:start|end|center|between|around|evenly|stretch|baseline|normal)|items-(?:start|end|center|baseline|stretch)|self-(?:auto|start|end|center|stretch|baseline)|flex-auto|flex-initial|flex-none)\b/g;
+    /(?<![\w:-])(?:grid(?:-cols-\d+|-rows-\d+|-flow-(?:row|col|dense|row-dense|col-dense))?|col-(?:span-(?:\d+|full)|start-(?:\d+|auto)|end-(?:\d+|auto)|auto)|row-(?:span-(?:\d+|full)|start-(?:\d+|auto)|end-(?:\d+|auto)|auto)|auto-(?:cols|rows)-(?:auto|min|max|fr)|flex(?:-\[[^\]]+\]|-\d+(?:\/\d+)?|-\(.+?\))?|flex-row|flex-col|flex-wrap|flex-nowrap|flex-wrap-reverse|bg-\[[^\]]+\]|bg-[a-z]+-[0-9]{1,4}(?!\/)|gap-\[[^\]]+\]|gap-[0-9]+|box-border|justify-(?:start|end|center|between|around|evenly|stretch|baseline|normal)|items-(?:start|end|center|baseline|stretch)|self-(?:auto|start|end|center|stretch|baseline)|flex-auto|flex-initial|flex-none)(?![\w-])/g;
   let match;
   while ((match = tailwindRegex.exec(content)) !== null) {
     classSet.add(match[0]);
   }
+
+  // Color utilities using the default palette (e.g. text-red-500, border-x-white, bg-sky-950/50).
+  const hues = Object.keys(defaultColors).filter((name) => typeof defaultColors[name] === 'object');
+  const specialColors = Object.keys(defaultColors).filter((name) => typeof defaultColors[name] === 'string');
+  const colorRegex = new RegExp(
+    `(?<![\\w:-])(?:${Object.keys(colorUtilityProps).join('|')})-` +
+      `(?:(?:${hues.join('|')})-(?:50|[1-9]00|950)|${specialColors.join('|')})` +
+      `(?:\\/(?:\\d+|\\[[^\\]\\s]+\\]|\\(--[\\w-]+\\)))?(?![\\w-])`,
+    'g'
+  );
+  while ((match = colorRegex.exec(content)) !== null) {
+    classSet.add(match[0]);
+  }
+
+  // Prefixed typography utilities (e.g. text-sm/6, font-semibold, tracking-tight, line-clamp-3).
+  const typographyRegex =
+    /(?<![\w:-])(?:text-(?:xs|sm|base|lg|[2-9]?xl)(?:\/(?:\d+|[a-z]+|\[[^\]\s]+\]))?|font-(?:thin|extralight|light|normal|medium|semibold|bold|extrabold|black|sans|serif|mono|\[[^\]\s]+\])|leading-(?:none|tight|snug|normal|relaxed|loose|\d+|\[[^\]\s]+\])|-?tracking-(?:tighter|tight|normal|wide|wider|widest|\[[^\]\s]+\])|line-clamp-(?:\d+|none)|-?underline-offset-(?:\d+|auto)|decoration-(?:solid|double|dotted|dashed|wavy|\d+)|text-(?:left|center|right|justify|start|end|ellipsis|clip|nowrap|balance|pretty)|whitespace-(?:normal|nowrap|pre|pre-line|pre-wrap|break-spaces))(?![\w-])/g;
+  while ((match = typographyRegex.exec(content)) !== null) {
+    classSet.add(match[0]);
+  }
+
+  // Layout utilities (e.g. inline-flex, -left-2, z-10, overflow-y-auto, object-cover, aspect-video).
+  // Single-word classes such as "block" or "hidden" are too common in code to match outside class attributes.
+  const layoutRegex =
+    /(?<![\w:-])(?:inline-(?:block|flex|grid)|flow-root|isolate|invisible|sticky|-?(?:inset-[xy]|inset|start|end|top|right|bottom|left)-(?:\d+(?:\.\d+)?(?:\/\d+)?|px|auto|full|\[[^\]\s]+\])|-?z-(?:\d+|auto|\[[^\]\s]+\])|overflow(?:-[xy])?-(?:auto|hidden|clip|visible|scroll)|object-(?:contain|cover|fill|none|scale-down)|aspect-(?:auto|square|video|\d+\/\d+|\[[^\]\s]+\]))(?![\w-])/g;
+  while ((match = layoutRegex.exec(content)) !== null) {
+    classSet.add(match[0]);
+  }
+
+  // Border, radius, outline, ring and divide utilities (e.g. border-t-2, rounded-t-md, ring-offset-2, divide-y).
+  const borderRegex =
+    /(?<![\w:-])(?:border(?:-[xysetrbl])?-(?:\d+|solid|dashed|dotted|double|hidden|none)|rounded(?:-(?:t|r|b|l|s|e|tl|tr|br|bl|ss|se|ee|es))?(?:-(?:none|xs|sm|md|lg|[2-4]?xl|full|\[[^\]\s]+\]))?|outline-(?:none|hidden|solid|dashed|dotted|double|\d+)|-?outline-offset-\d+|ring-(?:\d+|inset)|ring-offset-\d+|divide-[xy](?:-(?:\d+|reverse))?|divide-(?:solid|dashed|dotted|double|none))(?![\w-])/g;
+  while ((match = borderRegex.exec(content)) !== null) {
+    classSet.add(match[0]);
+  }
+
+  // Effect, filter, transform, transition and animation utilities (e.g. shadow-md, -rotate-45, duration-200).
+  const effectRegex =
+    /(?<![\w:-])(?:shadow-(?:2xs|xs|sm|md|lg|xl|2xl|inner|none|\[[^\]\s]+\])|opacity-(?:\d+|\[[^\]\s]+\])|(?:backdrop-)?(?:blur|grayscale|invert|sepia)(?:-(?:none|xs|sm|md|lg|[23]?xl|\d+|\[[^\]\s]+\]))?|(?:backdrop-)?(?:brightness|contrast|saturate)-\d+|backdrop-opacity-\d+|-?(?:backdrop-)?hue-rotate-\d+|-?translate-(?:[xy]-)?(?:\d+(?:\.\d+)?(?:\/\d+)?|px|full|\[[^\]\s]+\])|-?rotate-(?:\d+|\[[^\]\s]+\])|-?scale-(?:[xy]-)?\d+|-?skew-[xy]-\d+|origin-(?:center|top|top-right|right|bottom-right|bottom|bottom-left|left|top-left)|transition-(?:all|colors|opacity|shadow|transform|none)|(?:duration|delay)-\d+|ease-(?:linear|in|out|in-out)|animate-(?:[a-z]+|\[[^\]\s]+\]))(?![\w-])/g;
+  while ((match = effectRegex.exec(content)) !== null) {
+    classSet.add(match[0]);
+  }
+
+  // Background and gradient utilities (e.g. bg-linear-to-r, from-indigo-500, via-30%, bg-no-repeat).
+  const gradientRegex = new RegExp(
+    `(?<![\\w:-])(?:(?:from|via|to)-(?:(?:${hues.join('|')})-(?:50|[1-9]00|950)|${specialColors.join('|')}|\\d+%)` +
+      `(?:\\/\\d+)?|bg-(?:gradient|linear)-to-(?:tr|tl|br|bl|t|r|b|l)|bg-linear-\\d+|bg-(?:radial|conic|none)|` +
+      'bg-(?:auto|cover|contain|center|(?:top|bottom|left|right)(?:-(?:top|bottom|left|right))?|no-repeat|repeat(?:-x|-y|-round|-space)?|' +
+      'fixed|local|scroll|clip-(?:border|padding|content|text)|origin-(?:border|padding|content)))(?![\\w-])',
+    'g'
+  );
+  while ((match = gradientRegex.exec(content)) !== null) {
+    classSet.add(match[0]);
+  }
+
+  // Sizing utilities (e.g. w-64, w-1/2, h-screen, min-h-dvh, max-w-prose, size-10).
+  const sizingRegex =
+    /(?<![\w:-])(?:min-[wh]|max-[wh]|size|[wh])-(?:\d+(?:\.\d+)?(?:\/\d+)?|px|auto|full|min|max|fit|none|prose|screen(?:-[\w]+)?|[dsl]v[wh]|lh|[2-7]?xl|[23]?xs|sm|md|lg|\[[^\]\s]+\]|\(--[\w-]+\))(?![\w-])/g;
+  while ((match = sizingRegex.exec(content)) !== null) {
+    classSet.add(match[0]);
+  }
 }
 
 /**
  * Extracts additional spacing classes (margins, padding, and space utilities) from the file content.
  * @param {string} content - The file content to search.
+ * @param {Set<string>} classSet - The set to add the found class names to.
  */
-function extractAdditionalClasses(content) {
-  const marginRegex = /\b(?:m|mx|my|ms|me|mt|mr|mb|ml)-(?:-?\d+(?:\.\d+)?|auto|px|\([^)]+\)|\[[^\]]+\])\b/g;
-  const spaceRegex = /\b(?:-?space-[xy]-(?:\d+|px|\([^)]+\)|\[[^\]]+\])|space-[xy]-reverse)\b/g;
-  const paddingRegex = /\b(?:p|px|py|ps|pe|pt|pr|pb|pl)-(?:-?\d+(?:\.\d+)?|auto|px|\([^)]+\)|\[[^\]]+\])\b/g;
+function extractAdditionalClasses(content, classSet) {
+  const marginRegex = /(?<![\w:-])-?(?:m|mx|my|ms|me|mt|mr|mb|ml)-(?:\d+(?:\.\d+)?|auto|px|\([^)]+\)|\[[^\]]+\])(?![\w-])/g;
+  const spaceRegex = /(?<![\w:-])(?:-?space-[xy]-(?:\d+|px|\([^)]+\)|\[[^\]]+\])|space-[xy]-reverse)(?![\w-])/g;
+  const paddingRegex = /(?<![\w:-])(?:p|px|py|ps|pe|pt|pr|pb|pl)-(?:\d+(?:\.\d+)?|px|\([^)]+\)|\[[^\]]+\])(?![\w-])/g;
   let match;
   while ((match = marginRegex.exec(content)) !== null) {
     classSet.add(match[0]);
@@ -96,20 +161,85 @@ function extractAdditionalClasses(content) {
 /**
  * Extracts class names from SCSS @apply directives.
  * @param {string} content - The SCSS file content to search.
+ * @param {Set<string>} classSet - The set to add the found class names to.
  */
-function extractApplyClasses(content) {
+function extractApplyClasses(content, classSet) {
   const applyRegex = /@apply\s+([^;]+);/g;
   let match;
   while ((match = applyRegex.exec(content)) !== null) {
     match[1]
       .trim()
       .split(/\s+/)
+      // "!important" applies to the whole directive; it is not a class.
+      .filter((cls) => cls !== '!important')
       .forEach((cls) => {
         if (cls.trim()) classSet.add(cls.trim());
       });
   }
 }
 
+/**
+ * File-type specific extractors by file extension. Each extractor is called as
+ * `extractor(content, classSet, filename, theme)` and adds the classes it finds to the set.
+ */
+const defaultExtractors = {
+  '.html': [extractTemplateClasses, extractFlexLayoutClasses],
+  '.ts': [extractComponentClasses, extractFlexLayoutClasses, extractClassHelperCalls],
+  '.scss': [extractApplyClasses],
+  '.js': [extractJsxClasses, extractClassHelperCalls],
+  '.jsx': [extractJsxClasses, extractClassHelperCalls],
+  '.tsx': [extractJsxClasses, extractClassHelperCalls],
+  '.vue': [extractVueClasses, extractClassHelperCalls],
+  '.svelte': [extractSvelteClasses, extractClassHelperCalls],
+};
+
+/**
+ * Merges project extractors over the defaults.
+ * @param {Object<string, Function[]|null>} [extractors] - Extractors by extension (e.g. ".mdx"); they
+ *   replace the default ones for that extension, and null drops the file type.
+ * @returns {Object<string, Function[]>} The extractors to use.
+ */
+function resolveExtractors(extractors) {
+  const resolved = Object.assign({}, defaultExtractors, extractors);
+  Object.keys(resolved).forEach((extension) => {
+    if (!resolved[extension]) delete resolved[extension];
+  });
+  return resolved;
+}
+
+/**
+ * Builds the glob pattern of the files with the given extensions.
+ * @param {string[]} extensions - The file extensions (e.g. [".html", ".ts"]).
+ * @returns {string} The pattern (e.g. "**\/*.{html,ts}").
+ */
+function filePattern(extensions) {
+  const names = extensions.map((extension) => extension.replace(/^\./, ''));
+  return `**/*.${names.length === 1 ? names[0] : `{${names.join(',')}}`}`;
+}
+
+/**
+ * Extracts every Tailwind-like class name from a file's content.
+ * The extractors registered for the file's extension read what its syntax marks as classes (content
+ * without a file name is read as HTML), and every file but a stylesheet is also searched for known utility
+ * patterns. In a stylesheet those would match declarations (e.g. "flex" in "display: flex").
+ * @param {string} content - The file content to search.
+ * @param {{filename?: string, extractors?: Object<string, Function[]|null>, theme?: Object}} [options] - The
+ *   file name, used to pick the extractors, project extractors by extension (see resolveExtractors) and the
+ *   resolved theme, for classes that depend on it (e.g. the gaps of Flex Layout directives).
+ * @returns {Set<string>} The unique class names found.
+ */
+function extractClasses(content, options = {}) {
+  const classSet = new Set();
+  const extension = options.filename ? path.extname(options.filename) : '.html';
+  const extractors = resolveExtractors(options.extractors)[extension] || [];
+  extractors.forEach((extractor) => extractor(content, classSet, options.filename, options.theme));
+  if (!/^\.(?:s?css|less|sass)$/.test(extension)) {
+    extractPredefinedClasses(content, classSet);
+    extractAdditionalClasses(content, classSet);
+  }
+  return classSet;
+}
+
 // ------------------------------
 // HELPER FUNCTIONS FOR CSS GENERATION
 // ------------------------------
@@ -120,545 +250,3196 @@ function extractApplyClasses(content) {
  * @returns {string} The escaped class name.
  */
 function escapeClassName(className) {
-  return className.replace(/[^a-zA-Z0-9_-]/g, (ch) => '\\' + ch);
+  return className
+    .replace(/[^a-zA-Z0-9_-]/g, (ch) => '\\' + ch)
+    // A selector cannot start with a digit (e.g. "2xl:p-8"), so emit it as a hex escape.
+    .replace(/^(-?)(\d)/, (m, sign, digit) => `${sign}\\3${digit} `);
 }
 
+// ------------------------------
+// SPACING UTILITIES
+// ------------------------------
+
 /**
- * Mapping for fixed margin values.
+ * Spacing utility prefixes, the properties they set and whether they also take negative values
+ * ("-mt-2") and "auto". Margin, padding, gap and space utilities, insets, sizes, translations, text
+ * indents and line heights all resolve their values with resolveSpacingValue.
  */
-const fixedMarginMapping = {
-  0: '0px',
-  1: '0.25rem',
-  2: '0.5rem',
-  3: '0.74rem',
-  4: '1rem',
-  5: '1.25rem',
-  6: '1.5rem',
-  7: '1.75rem',
-  8: '2rem',
+const spacingUtilities = {
+  m: { properties: ['margin'], negative: true, auto: true },
+  mx: { properties: ['margin-inline'], negative: true, auto: true },
+  my: { properties: ['margin-block'], negative: true, auto: true },
+  ms: { properties: ['margin-inline-start'], negative: true, auto: true },
+  me: { properties: ['margin-inline-end'], negative: true, auto: true },
+  mt: { properties: ['margin-top'], negative: true, auto: true },
+  mr: { properties: ['margin-right'], negative: true, auto: true },
+  mb: { properties: ['margin-bottom'], negative: true, auto: true },
+  ml: { properties: ['margin-left'], negative: true, auto: true },
+  p: { properties: ['padding'] },
+  px: { properties: ['padding-inline'] },
+  py: { properties: ['padding-block'] },
+  ps: { properties: ['padding-inline-start'] },
+  pe: { properties: ['padding-inline-end'] },
+  pt: { properties: ['padding-top'] },
+  pr: { properties: ['padding-right'] },
+  pb: { properties: ['padding-bottom'] },
+  pl: { properties: ['padding-left'] },
+  gap: { properties: ['gap'] },
+  'gap-x': { properties: ['column-gap'] },
+  'gap-y': { properties: ['row-gap'] },
 };
 
+// Longer prefixes first, so "gap-x-4" is not read as "gap" with the value "x-4".
+const spacingUtilityRegex = new RegExp(
+  `^(-?)(${Object.keys(spacingUtilities)
+    .sort((a, b) => b.length - a.length)
+    .join('|')})-(.+)$`
+);
+
 /**
- * Mapping for fixed padding values.
- */
-const fixedPaddingMapping = {
-  0: '0px',
-  0.5: '0.125rem',
-  1: '0.25rem',
-  1.5: '0.375rem',
-  2: '0.5rem',
-  2.5: '0.625rem',
-  3: '0.75rem',
-  3.5: '0.875rem',
-  4: '1rem',
-  5: '1.25rem',
-  6: '1.5rem',
-  7: '1.75rem',
-  8: '2rem',
-  9: '2.25rem',
-  10: '2.5rem',
-  11: '2.75rem',
-  12: '3rem',
-  14: '3.5rem',
-  16: '4rem',
-  20: '5rem',
-  24: '6rem',
-  28: '7rem',
-  32: '8rem',
-  36: '9rem',
-  40: '10rem',
-  44: '11rem',
-  48: '12rem',
-  52: '13rem',
-  56: '14rem',
-  60: '15rem',
-  64: '16rem',
-  72: '18rem',
-  80: '20rem',
-  96: '24rem',
-};
+ * Negates a CSS value: plain numbers and lengths get a leading "-", anything else is wrapped in calc().
+ * @param {string} value - The value to negate.
+ * @returns {string} The negated value.
+ */
+function negateValue(value) {
+  if (/^-/.test(value)) return value.slice(1);
+  return /^[\d.]/.test(value) ? `-${value}` : `calc(${value} * -1)`;
+}
 
 /**
- * Generates a margin rule for a given class name.
- * @param {string} className - The Tailwind-like class name.
- * @param {string} prefix - The margin prefix (e.g., "m", "mt").
- * @param {string} cssProp - The corresponding CSS property.
- * @returns {string|null} The generated CSS rule, or null if not applicable.
- */
-function generateMarginRule(className, prefix, cssProp) {
-  let re = new RegExp(`^(-?)${prefix}-(\\d+(?:\\.\\d+)?)$`);
-  let match = className.match(re);
-  if (match) {
-    let sign = match[1];
-    let num = match[2];
-    if (fixedMarginMapping.hasOwnProperty(num)) {
-      let fixedValue = fixedMarginMapping[num];
-      if (sign === '-' && !fixedValue.startsWith('-')) {
-        fixedValue = '-' + fixedValue;
-      }
-      return `.${escapeClassName(className)} { ${cssProp}: ${fixedValue}; }`;
-    }
-    return `.${escapeClassName(className)} { ${cssProp}: calc(var(--spacing) * ${sign}${num}); }`;
+ * Resolves a spacing value: a key of the theme's spacing scale, any other multiple of 0.25 as a
+ * multiple of the var(--spacing) step (e.g. "13" or "2.25"), an arbitrary value ("[3px]") or a
+ * custom property ("(--gutter)").
+ * @param {string} key - The value after the utility prefix (e.g., "6", "px" or "[3px]").
+ * @param {Object} theme - The resolved theme providing the spacing scale.
+ * @param {boolean} [negative] - Negate the value, for negative utilities such as "-mt-2".
+ * @returns {string|null} The spacing value, or null if the key is not a spacing value.
+ */
+function resolveSpacingValue(key, theme, negative = false) {
+  let match;
+  let value = null;
+  if (theme.spacing.hasOwnProperty(key)) {
+    value = theme.spacing[key];
+  } else if (/^\d+(?:\.\d+)?$/.test(key) && Number.isInteger(Number(key) * 4)) {
+    return `calc(var(--spacing) * ${negative ? '-' : ''}${key})`;
+  } else if ((match = key.match(/^\[(.+)\]$/))) {
+    value = match[1].replace(/_/g, ' ');
+  } else if ((match = key.match(/^\((--[\w-]+)\)$/))) {
+    value = `var(${match[1]})`;
   }
-  if (className === `${prefix}-auto`) {
-    return `.${className} { ${cssProp}: auto; }`;
+  if (value === null) return null;
+  return negative ? negateValue(value) : value;
+}
+
+/**
+ * Generates a margin, padding or gap rule (see spacingUtilities).
+ * @param {string} className - The Tailwind-like class name (e.g., "-mt-2", "px-4" or "gap-x-[2em]").
+ * @param {Object} theme - The resolved theme, whose spacing scale provides the values.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a spacing utility.
+ */
+function generateSpacingRule(className, theme) {
+  const match = className.match(spacingUtilityRegex);
+  if (!match) return null;
+  const [, sign, prefix, key] = match;
+  const utility = spacingUtilities[prefix];
+  if (sign && !utility.negative) return null;
+  let value;
+  if (key === 'auto') value = utility.auto && !sign ? 'auto' : null;
+  else value = resolveSpacingValue(key, theme, Boolean(sign));
+  if (value === null) return null;
+  return formatRule(
+    `.${escapeClassName(className)}`,
+    utility.properties.map((property) => `${property}: ${value}`)
+  );
+}
+
+/**
+ * Generates a space-x/space-y rule: a margin between the children, on the side that
+ * --tw-space-*-reverse (set by space-*-reverse) selects.
+ * @param {string} className - The Tailwind-like class name (e.g., "space-x-2" or "-space-y-px").
+ * @param {Object} theme - The resolved theme, whose spacing scale provides the values.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a space utility.
+ */
+function generateSpaceRule(className, theme) {
+  const match = className.match(/^(-?)space-([xy])-(.+)$/);
+  if (!match) return null;
+  const [, sign, axis, key] = match;
+  const selector = `.${escapeClassName(className)}`;
+  const reverse = `--tw-space-${axis}-reverse`;
+  if (key === 'reverse') return sign ? null : formatRule(selector, [`${reverse}: 1`]);
+  const value = resolveSpacingValue(key, theme, Boolean(sign));
+  if (value === null) return null;
+  // calc(var(--spacing) * 2) is multiplied inside its own calc(); other values with operators are
+  // parenthesized, so "[1rem_+_2px]" is multiplied as a whole.
+  const step = value.match(/^calc\((var\(--spacing\) \* -?[\d.]+)\)$/);
+  const factor = step ? step[1] : /\s/.test(value) ? `(${value})` : value;
+  const [startProp, endProp] =
+    axis === 'x' ? ['margin-inline-start', 'margin-inline-end'] : ['margin-block-start', 'margin-block-end'];
+  return [
+    formatRule(selector, [`${reverse}: 0`]),
+    formatRule(`${selector} > :not(:last-child)`, [
+      `${startProp}: calc(${factor} * var(${reverse}))`,
+      `${endProp}: calc(${factor} * calc(1 - var(${reverse})))`,
+    ]),
+  ].join('\n');
+}
+
+// ------------------------------
+// COLOR UTILITIES
+// ------------------------------
+
+/**
+ * Color utility prefixes and the CSS property they set. Longer prefixes come first
+ * so that "border-x-red-500" is not read as "border" with the color "x-red-500".
+ */
+const colorUtilityProps = {
+  'ring-offset': '--tw-ring-offset-color',
+  'border-x': 'border-inline-color',
+  'border-y': 'border-block-color',
+  'border-s': 'border-inline-start-color',
+  'border-e': 'border-inline-end-color',
+  'border-t': 'border-top-color',
+  'border-r': 'border-right-color',
+  'border-b': 'border-bottom-color',
+  'border-l': 'border-left-color',
+  border: 'border-color',
+  text: 'color',
+  bg: 'background-color',
+  outline: 'outline-color',
+  fill: 'fill',
+  stroke: 'stroke',
+  ring: '--tw-ring-color',
+  decoration: 'text-decoration-color',
+  accent: 'accent-color',
+  caret: 'caret-color',
+};
+
+/**
+ * Splits a trailing "/modifier" off a utility value, ignoring slashes inside brackets or parentheses.
+ * @param {string} value - The utility value (e.g., "red-500/50" or "[url(a/b.png)]").
+ * @returns {{value: string, modifier: string|null}} The value and its modifier, if any.
+ */
+function splitModifier(value) {
+  let depth = 0;
+  for (let i = value.length - 1; i >= 0; i--) {
+    const ch = value[i];
+    if (ch === ']' || ch === ')') depth++;
+    else if (ch === '[' || ch === '(') depth--;
+    else if (ch === '/' && depth === 0) return { value: value.slice(0, i), modifier: value.slice(i + 1) };
   }
-  if (className === `${prefix}-px`) {
-    return `.${className} { ${cssProp}: 1px; }`;
+  return { value, modifier: null };
+}
+
+/**
+ * Checks whether an arbitrary value is a color: a hex value, a color function, a color keyword,
+ * or a value with an explicit "color:" type hint.
+ * @param {string} value - The value inside the brackets.
+ * @returns {boolean} True if the value is a color.
+ */
+function isArbitraryColor(value) {
+  return /^(?:#[0-9a-fA-F]{3,8}|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix|light-dark)\(|color:|currentColor$|transparent$)/.test(
+    value
+  );
+}
+
+/**
+ * Applies an opacity modifier to a color using color-mix(), as Tailwind v4 does.
+ * @param {string} color - The color value.
+ * @param {string|null} modifier - The opacity modifier ("50", "[0.35]", "[35%]" or "(--alpha)"), or null.
+ * @returns {string|null} The color with the opacity applied, or null if the modifier is invalid.
+ */
+function applyColorOpacity(color, modifier) {
+  if (!modifier) return color;
+  if (color === 'inherit') return null;
+  let amount = null;
+  let match;
+  if (/^\d+(?:\.\d+)?$/.test(modifier)) {
+    amount = `${modifier}%`;
+  } else if ((match = modifier.match(/^\[(\d*\.?\d+)(%?)\]$/))) {
+    amount = match[2] ? `${match[1]}%` : `${Number((parseFloat(match[1]) * 100).toFixed(4))}%`;
+  } else if ((match = modifier.match(/^\((--[\w-]+)\)$/))) {
+    amount = `var(${match[1]})`;
   }
-  if (className === `-${prefix}-px`) {
-    return `.${className} { ${cssProp}: -1px; }`;
+  if (amount === null) return null;
+  return `color-mix(in oklab, ${color} ${amount}, transparent)`;
+}
+
+/**
+ * Resolves the color of a color utility: a theme color, an arbitrary color or a custom property,
+ * with an optional opacity modifier.
+ * @param {string} rawValue - The value after the utility prefix (e.g., "red-500/50" or "[#1e293b]").
+ * @param {Object} theme - The resolved theme providing the colors.
+ * @returns {string|null} The CSS color, or null if the value is not a color.
+ */
+function resolveColorValue(rawValue, theme) {
+  const { value, modifier } = splitModifier(rawValue);
+  let color = null;
+  let match;
+  if ((match = value.match(/^\[(.+)\]$/))) {
+    // Arbitrary values may carry a "color:" type hint, e.g. text-[color:var(--brand)].
+    if (isArbitraryColor(match[1])) color = match[1].replace(/^color:/, '').replace(/_/g, ' ');
+  } else if ((match = value.match(/^\((?:color:)?(--[\w-]+)\)$/))) {
+    color = `var(${match[1]})`;
+  } else {
+    color = lookupColor(theme.colors, value);
   }
-  re = new RegExp(`^${prefix}-\\((.+)\\)$`);
-  match = className.match(re);
-  if (match) {
-    return `.${escapeClassName(className)} { ${cssProp}: var(${match[1]}); }`;
+  if (color === null) return null;
+  return applyColorOpacity(color, modifier);
+}
+
+/**
+ * Generates a color utility rule (text-, bg-, border-, fill-, stroke-, ring-, decoration-, ...)
+ * for a theme color, an arbitrary color or a custom property, with an optional opacity modifier.
+ * @param {string} className - The Tailwind-like class name (e.g., "text-red-500/50").
+ * @param {Object} theme - The resolved theme providing the colors.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a color utility.
+ */
+function generateColorRule(className, theme) {
+  for (const prefix of Object.keys(colorUtilityProps)) {
+    if (!className.startsWith(prefix + '-')) continue;
+    const color = resolveColorValue(className.slice(prefix.length + 1), theme);
+    if (color === null) return null;
+    return `.${escapeClassName(className)} { ${colorUtilityProps[prefix]}: ${color}; }`;
   }
-  re = new RegExp(`^${prefix}-\\[(.+?)\\]$`);
-  match = className.match(re);
-  if (match) {
-    let value = match[1].replace(/_/g, ' ');
-    return `.${escapeClassName(className)} { ${cssProp}: ${value}; }`;
+  return null;
+}
+
+// ------------------------------
+// TYPOGRAPHY UTILITIES
+// ------------------------------
+
+/**
+ * Single-class typography utilities with fixed declarations.
+ */
+const typographyStatics = {
+  'text-left': ['text-align: left'],
+  'text-center': ['text-align: center'],
+  'text-right': ['text-align: right'],
+  'text-justify': ['text-align: justify'],
+  'text-start': ['text-align: start'],
+  'text-end': ['text-align: end'],
+  uppercase: ['text-transform: uppercase'],
+  lowercase: ['text-transform: lowercase'],
+  capitalize: ['text-transform: capitalize'],
+  'normal-case': ['text-transform: none'],
+  italic: ['font-style: italic'],
+  'not-italic': ['font-style: normal'],
+  underline: ['text-decoration-line: underline'],
+  overline: ['text-decoration-line: overline'],
+  'line-through': ['text-decoration-line: line-through'],
+  'no-underline': ['text-decoration-line: none'],
+  'decoration-solid': ['text-decoration-style: solid'],
+  'decoration-double': ['text-decoration-style: double'],
+  'decoration-dotted': ['text-decoration-style: dotted'],
+  'decoration-dashed': ['text-decoration-style: dashed'],
+  'decoration-wavy': ['text-decoration-style: wavy'],
+  'decoration-auto': ['text-decoration-thickness: auto'],
+  'decoration-from-font': ['text-decoration-thickness: from-font'],
+  'underline-offset-auto': ['text-underline-offset: auto'],
+  truncate: ['overflow: hidden', 'text-overflow: ellipsis', 'white-space: nowrap'],
+  'text-ellipsis': ['text-overflow: ellipsis'],
+  'text-clip': ['text-overflow: clip'],
+  'text-wrap': ['text-wrap: wrap'],
+  'text-nowrap': ['text-wrap: nowrap'],
+  'text-balance': ['text-wrap: balance'],
+  'text-pretty': ['text-wrap: pretty'],
+  'whitespace-normal': ['white-space: normal'],
+  'whitespace-nowrap': ['white-space: nowrap'],
+  'whitespace-pre': ['white-space: pre'],
+  'whitespace-pre-line': ['white-space: pre-line'],
+  'whitespace-pre-wrap': ['white-space: pre-wrap'],
+  'whitespace-break-spaces': ['white-space: break-spaces'],
+  'break-normal': ['overflow-wrap: normal', 'word-break: normal'],
+  'break-words': ['overflow-wrap: break-word'],
+  'break-all': ['word-break: break-all'],
+  'break-keep': ['word-break: keep-all'],
+  'line-clamp-none': ['overflow: visible', 'display: block', '-webkit-box-orient: horizontal', '-webkit-line-clamp: unset'],
+  antialiased: ['-webkit-font-smoothing: antialiased', '-moz-osx-font-smoothing: grayscale'],
+  'subpixel-antialiased': ['-webkit-font-smoothing: auto', '-moz-osx-font-smoothing: auto'],
+  'list-none': ['list-style-type: none'],
+  'list-disc': ['list-style-type: disc'],
+  'list-decimal': ['list-style-type: decimal'],
+  'list-inside': ['list-style-position: inside'],
+  'list-outside': ['list-style-position: outside'],
+  'align-baseline': ['vertical-align: baseline'],
+  'align-top': ['vertical-align: top'],
+  'align-middle': ['vertical-align: middle'],
+  'align-bottom': ['vertical-align: bottom'],
+  'align-text-top': ['vertical-align: text-top'],
+  'align-text-bottom': ['vertical-align: text-bottom'],
+  'align-sub': ['vertical-align: sub'],
+  'align-super': ['vertical-align: super'],
+};
+
+/**
+ * Resolves a bare, arbitrary ("[1.5]") or custom property ("(--x)") value for a typography utility.
+ * @param {string} value - The utility value.
+ * @param {Object} scale - The theme scale to look bare values up in.
+ * @returns {string|null} The CSS value, or null if it cannot be resolved.
+ */
+function resolveTypographyValue(value, scale) {
+  let match;
+  if ((match = value.match(/^\[(.+)\]$/))) return match[1].replace(/_/g, ' ');
+  if ((match = value.match(/^\((?:[\w-]+:)?(--[\w-]+)\)$/))) return `var(${match[1]})`;
+  if (scale && scale.hasOwnProperty(value)) {
+    return Array.isArray(scale[value]) ? scale[value].join(', ') : scale[value];
   }
   return null;
 }
 
 /**
- * Generates a padding rule for a given class name.
- * @param {string} className - The Tailwind-like class name.
- * @param {string} prefix - The padding prefix (e.g., "p", "pt").
- * @param {string} cssProp - The corresponding CSS property.
- * @returns {string|null} The generated CSS rule, or null if not applicable.
- */
-function generatePaddingRule(className, prefix, cssProp) {
-  let re = new RegExp(`^(-?)${prefix}-(\\d+(?:\\.\\d+)?)$`);
-  let match = className.match(re);
-  if (match) {
-    let sign = match[1];
-    let num = match[2];
-    if (fixedPaddingMapping.hasOwnProperty(num)) {
-      let fixedValue = fixedPaddingMapping[num];
-      if (sign === '-' && !fixedValue.startsWith('-')) {
-        fixedValue = '-' + fixedValue;
+ * Resolves a line-height from the lineHeight scale, the spacing scale, or an arbitrary value.
+ * @param {string} value - The value after "leading-" or a font size's "/" modifier.
+ * @param {Object} theme - The resolved theme.
+ * @returns {string|null} The line-height, or null if it cannot be resolved.
+ */
+function resolveLineHeight(value, theme) {
+  return resolveTypographyValue(value, theme.lineHeight) || resolveSpacingValue(value, theme);
+}
+
+/**
+ * Builds the declarations for a font size from the theme, which may pair the size with a
+ * line-height, letter-spacing and font-weight (e.g. ["0.875rem", { lineHeight: "1.25rem" }]).
+ * @param {string|Array} entry - The fontSize theme entry.
+ * @returns {string[]} The declarations, or an empty array if the entry has no size.
+ */
+function fontSizeDeclarations(entry) {
+  const [size, extra] = Array.isArray(entry) ? entry : [entry, {}];
+  if (!size) return [];
+  const options = typeof extra === 'string' ? { lineHeight: extra } : extra || {};
+  const declarations = [`font-size: ${size}`];
+  if (options.lineHeight) declarations.push(`line-height: ${options.lineHeight}`);
+  if (options.letterSpacing) declarations.push(`letter-spacing: ${options.letterSpacing}`);
+  if (options.fontWeight) declarations.push(`font-weight: ${options.fontWeight}`);
+  return declarations;
+}
+
+/**
+ * Generates a typography rule: font size (with its paired line-height and an optional "/leading"
+ * modifier), weight and family, line-height, letter-spacing, alignment, transform, decoration,
+ * overflow and wrapping, line clamping, indentation, vertical alignment and list styles.
+ * @param {string} className - The Tailwind-like class name (e.g., "text-sm/6" or "tracking-tight").
+ * @param {Object} theme - The resolved theme providing the typography scales.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a typography utility.
+ */
+function generateTypographyRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  if (typographyStatics[className]) return formatRule(selector, typographyStatics[className]);
+
+  let match;
+  let value;
+
+  // -- FONT SIZE --
+  if ((match = className.match(/^text-(.+)$/))) {
+    const { value: size, modifier } = splitModifier(match[1]);
+    let declarations = [];
+    let arbitrary;
+    if (theme.fontSize.hasOwnProperty(size)) {
+      declarations = fontSizeDeclarations(theme.fontSize[size]);
+    } else if ((arbitrary = size.match(/^\[(?:length:)?(.+)\]$/)) && !isArbitraryColor(arbitrary[1])) {
+      // Only lengths are font sizes; text-[#333] and text-[color:...] are colors.
+      if (size.startsWith('[length:') || /^(?:\d|\.\d|calc\(|clamp\(|min\(|max\()/.test(arbitrary[1])) {
+        declarations = [`font-size: ${arbitrary[1].replace(/_/g, ' ')}`];
       }
-      return `.${escapeClassName(className)} { ${cssProp}: ${fixedValue}; }`;
+    } else if ((arbitrary = size.match(/^\(length:(--[\w-]+)\)$/))) {
+      declarations = [`font-size: var(${arbitrary[1]})`];
+    }
+    if (!declarations.length) return null;
+    if (modifier) {
+      const lineHeight = resolveLineHeight(modifier, theme);
+      if (!lineHeight) return null;
+      declarations = declarations.filter((declaration) => !declaration.startsWith('line-height:'));
+      declarations.splice(1, 0, `line-height: ${lineHeight}`);
     }
-    return `.${escapeClassName(className)} { ${cssProp}: calc(var(--spacing) * ${sign}${num}); }`;
+    return formatRule(selector, declarations);
   }
-  if (className === `${prefix}-auto`) {
-    return `.${className} { ${cssProp}: auto; }`;
+
+  // -- FONT WEIGHT AND FAMILY --
+  if ((match = className.match(/^font-(.+)$/))) {
+    if (theme.fontWeight.hasOwnProperty(match[1])) {
+      return formatRule(selector, [`font-weight: ${theme.fontWeight[match[1]]}`]);
+    }
+    if (theme.fontFamily.hasOwnProperty(match[1])) {
+      return formatRule(selector, [`font-family: ${resolveTypographyValue(match[1], theme.fontFamily)}`]);
+    }
+    // font-[550] and font-(weight:--x) set the weight; other arbitrary values set the family.
+    const hint = match[1].match(/^([[(])(weight|family-name):(.+)$/);
+    value = resolveTypographyValue(hint ? hint[1] + hint[3] : match[1], null);
+    if (!value) return null;
+    const isWeight = hint ? hint[2] === 'weight' : /^\d+$/.test(value);
+    return formatRule(selector, [`${isWeight ? 'font-weight' : 'font-family'}: ${value}`]);
   }
-  if (className === `${prefix}-px`) {
-    return `.${className} { ${cssProp}: 1px; }`;
+
+  // -- LINE HEIGHT AND LETTER SPACING --
+  if ((match = className.match(/^leading-(.+)$/))) {
+    value = resolveLineHeight(match[1], theme);
+    return value ? formatRule(selector, [`line-height: ${value}`]) : null;
   }
-  if (className === `-${prefix}-px`) {
-    return `.${className} { ${cssProp}: -1px; }`;
+  if ((match = className.match(/^(-?)tracking-(.+)$/))) {
+    value = resolveTypographyValue(match[2], theme.letterSpacing);
+    if (!value) return null;
+    return formatRule(selector, [`letter-spacing: ${match[1] ? `calc(${value} * -1)` : value}`]);
   }
-  re = new RegExp(`^${prefix}-\\((.+)\\)$`);
-  match = className.match(re);
-  if (match) {
-    return `.${escapeClassName(className)} { ${cssProp}: var(${match[1]}); }`;
+
+  // -- DECORATION THICKNESS AND UNDERLINE OFFSET --
+  if ((match = className.match(/^decoration-(\d+|\[.+\]|\(length:--[\w-]+\))$/))) {
+    value = /^\d+$/.test(match[1]) ? `${match[1]}px` : resolveTypographyValue(match[1].replace('length:', ''), null);
+    // Arbitrary colors (decoration-[#f00]) are handled as color utilities.
+    return value && !isArbitraryColor(value) ? formatRule(selector, [`text-decoration-thickness: ${value}`]) : null;
   }
-  re = new RegExp(`^${prefix}-\\[(.+?)\\]$`);
-  match = className.match(re);
-  if (match) {
-    let value = match[1].replace(/_/g, ' ');
-    return `.${escapeClassName(className)} { ${cssProp}: ${value}; }`;
+  if ((match = className.match(/^(-?)underline-offset-(.+)$/))) {
+    value = /^\d+$/.test(match[2]) ? `${match[2]}px` : resolveTypographyValue(match[2], null);
+    if (!value) return null;
+    return formatRule(selector, [`text-underline-offset: ${match[1] ? `calc(${value} * -1)` : value}`]);
   }
-  return null;
-}
 
-/**
- * Generates a space utility rule for the given axis ("x" or "y").
- * @param {string} className - The Tailwind-like class name.
- * @param {string} axis - The axis for the space utility ("x" or "y").
- * @returns {string|null} The generated CSS rule, or null if not applicable.
- */
-function generateSpaceRule(className, axis) {
-  let startProp, endProp;
-  if (axis === 'x') {
-    startProp = 'margin-inline-start';
-    endProp = 'margin-inline-end';
-  } else if (axis === 'y') {
-    startProp = 'margin-block-start';
-    endProp = 'margin-block-end';
-  } else {
-    return null;
-  }
-  let re = new RegExp(`^(-?)space-${axis}-(\\d+)$`);
-  let match = className.match(re);
-  if (match) {
-    let sign = match[1];
-    let num = match[2];
-    let value = `${sign}${num}`;
-    return `.${escapeClassName(className)} {\n  --tw-space-${axis}-reverse: 0;\n}\n.${escapeClassName(className)} > :not(:last-child) {\n  ${startProp}: calc(var(--spacing) * ${value} * var(--tw-space-${axis}-reverse));\n  ${endProp}: calc(var(--spacing) * ${value} * calc(1 - var(--tw-space-${axis}-reverse)));\n}`;
-  }
-  re = new RegExp(`^(-?)space-${axis}-px$`);
-  match = className.match(re);
-  if (match) {
-    let sign = match[1];
-    let val = sign === '-' ? '-1px' : '1px';
-    return `.${escapeClassName(className)} {\n  --tw-space-${axis}-reverse: 0;\n}\n.${escapeClassName(className)} > :not(:last-child) {\n  ${startProp}: calc(${val} * var(--tw-space-${axis}-reverse));\n  ${endProp}: calc(${val} * calc(1 - var(--tw-space-${axis}-reverse)));\n}`;
-  }
-  re = new RegExp(`^space-${axis}-\\((.+)\\)$`);
-  match = className.match(re);
-  if (match) {
-    let customProp = match[1];
-    return `.${escapeClassName(className)} {\n  --tw-space-${axis}-reverse: 0;\n}\n.${escapeClassName(className)} > :not(:last-child) {\n  ${startProp}: calc(var(${customProp}) * var(--tw-space-${axis}-reverse));\n  ${endProp}: calc(var(${customProp}) * calc(1 - var(--tw-space-${axis}-reverse)));\n}`;
-  }
-  re = new RegExp(`^space-${axis}-\\[(.+?)\\]$`);
-  match = className.match(re);
-  if (match) {
-    let value = match[1].replace(/_/g, ' ');
-    return `.${escapeClassName(className)} {\n  --tw-space-${axis}-reverse: 0;\n}\n.${escapeClassName(className)} > :not(:last-child) {\n  ${startProp}: calc(${value} * var(--tw-space-${axis}-reverse));\n  ${endProp}: calc(${value} * calc(1 - var(--tw-space-${axis}-reverse)));\n}`;
+  // -- LINE CLAMP AND INDENT --
+  if ((match = className.match(/^line-clamp-(\d+|\[.+\]|\(--[\w-]+\))$/))) {
+    value = /^\d+$/.test(match[1]) ? match[1] : resolveTypographyValue(match[1], null);
+    return formatRule(selector, [
+      'overflow: hidden',
+      'display: -webkit-box',
+      '-webkit-box-orient: vertical',
+      `-webkit-line-clamp: ${value}`,
+    ]);
   }
+  if ((match = className.match(/^(-?)indent-(.+)$/))) {
+    value = resolveTypographyValue(match[2], null) || resolveSpacingValue(match[2], theme);
+    if (!value) return null;
+    return formatRule(selector, [`text-indent: ${match[1] ? `calc(${value} * -1)` : value}`]);
+  }
+
   return null;
 }
 
 // ------------------------------
-// MAIN CSS GENERATION FUNCTION
+// LAYOUT UTILITIES
 // ------------------------------
 
 /**
- * Generates the corresponding CSS rule for a given Tailwind-like class.
- * @param {string} className - The class name to convert.
- * @returns {string|null} The generated CSS rule, or null if no rule applies.
+ * Single-class layout utilities: display, position, visibility, overflow, object fit and position,
+ * isolation, aspect ratio, box sizing, floats and clears.
  */
-function generateCssForClass(className) {
-  // -- GRID DISPLAY --
-  if (className === 'grid') return `.grid { display: grid; }`;
+const layoutStatics = {
+  block: ['display: block'],
+  'inline-block': ['display: inline-block'],
+  inline: ['display: inline'],
+  'inline-flex': ['display: inline-flex'],
+  'inline-grid': ['display: inline-grid'],
+  'flow-root': ['display: flow-root'],
+  contents: ['display: contents'],
+  'list-item': ['display: list-item'],
+  table: ['display: table'],
+  'table-row': ['display: table-row'],
+  'table-cell': ['display: table-cell'],
+  hidden: ['display: none'],
+  static: ['position: static'],
+  fixed: ['position: fixed'],
+  absolute: ['position: absolute'],
+  relative: ['position: relative'],
+  sticky: ['position: sticky'],
+  visible: ['visibility: visible'],
+  invisible: ['visibility: hidden'],
+  collapse: ['visibility: collapse'],
+  isolate: ['isolation: isolate'],
+  'isolation-auto': ['isolation: auto'],
+  'box-content': ['box-sizing: content-box'],
+  'aspect-auto': ['aspect-ratio: auto'],
+  'aspect-square': ['aspect-ratio: 1 / 1'],
+  'aspect-video': ['aspect-ratio: 16 / 9'],
+  'object-contain': ['object-fit: contain'],
+  'object-cover': ['object-fit: cover'],
+  'object-fill': ['object-fit: fill'],
+  'object-none': ['object-fit: none'],
+  'object-scale-down': ['object-fit: scale-down'],
+  'object-bottom': ['object-position: bottom'],
+  'object-center': ['object-position: center'],
+  'object-left': ['object-position: left'],
+  'object-left-bottom': ['object-position: left bottom'],
+  'object-left-top': ['object-position: left top'],
+  'object-right': ['object-position: right'],
+  'object-right-bottom': ['object-position: right bottom'],
+  'object-right-top': ['object-position: right top'],
+  'object-top': ['object-position: top'],
+  'float-left': ['float: left'],
+  'float-right': ['float: right'],
+  'float-start': ['float: inline-start'],
+  'float-end': ['float: inline-end'],
+  'float-none': ['float: none'],
+  'clear-left': ['clear: left'],
+  'clear-right': ['clear: right'],
+  'clear-both': ['clear: both'],
+  'clear-start': ['clear: inline-start'],
+  'clear-end': ['clear: inline-end'],
+  'clear-none': ['clear: none'],
+};
 
-  // -- GRID TEMPLATE COLUMNS --
+/**
+ * Inset utility prefixes and the CSS property they set. Longer prefixes come first.
+ */
+const insetUtilityProps = {
+  'inset-x': 'inset-inline',
+  'inset-y': 'inset-block',
+  inset: 'inset',
+  start: 'inset-inline-start',
+  end: 'inset-inline-end',
+  top: 'top',
+  right: 'right',
+  bottom: 'bottom',
+  left: 'left',
+};
+
+/**
+ * Resolves an inset value: auto, full, fractions, the spacing scale, arbitrary values and custom properties.
+ * @param {string} key - The value after the prefix (e.g., "4", "1/2" or "[3px]").
+ * @param {Object} theme - The resolved theme providing the spacing scale.
+ * @returns {string|null} The CSS value, or null if the key is not an inset value.
+ */
+function resolveInsetValue(key, theme) {
   let match;
-  match = className.match(/^grid-cols-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-template-columns: repeat(${match[1]}, minmax(0, 1fr)); }`;
-  if (className === 'grid-cols-none') return `.grid-cols-none { grid-template-columns: none; }`;
-  if (className === 'grid-cols-subgrid') return `.grid-cols-subgrid { grid-template-columns: subgrid; }`;
-  match = className.match(/^grid-cols-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-template-columns: ${match[1].replace(/_/g, ' ')}; }`;
-  match = className.match(/^grid-cols-\((.+?)\)$/);
-  if (match) return `.${escapeClassName(className)} { grid-template-columns: var(${match[1]}); }`;
+  if (key === 'auto') return 'auto';
+  if (key === 'full') return '100%';
+  if ((match = key.match(/^(\d+)\/(\d+)$/)) && Number(match[2]) !== 0) {
+    return `${Number(((match[1] / match[2]) * 100).toFixed(6))}%`;
+  }
+  return resolveSpacingValue(key, theme);
+}
 
-  // -- GRID TEMPLATE ROWS --
-  match = className.match(/^grid-rows-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-template-rows: repeat(${match[1]}, minmax(0, 1fr)); }`;
-  if (className === 'grid-rows-none') return `.grid-rows-none { grid-template-rows: none; }`;
-  if (className === 'grid-rows-subgrid') return `.grid-rows-subgrid { grid-template-rows: subgrid; }`;
-  match = className.match(/^grid-rows-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-template-rows: ${match[1].replace(/_/g, ' ')}; }`;
-  match = className.match(/^grid-rows-\((.+?)\)$/);
-  if (match) return `.${escapeClassName(className)} { grid-template-rows: var(${match[1]}); }`;
+/**
+ * Generates a layout rule: display, position, insets (including negative ones), z-index, overflow,
+ * visibility, object fit and position, isolation, aspect ratio, floats and clears.
+ * @param {string} className - The Tailwind-like class name (e.g., "-left-2" or "overflow-y-auto").
+ * @param {Object} theme - The resolved theme providing the spacing scale.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a layout utility.
+ */
+function generateLayoutRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  if (layoutStatics[className]) return formatRule(selector, layoutStatics[className]);
 
-  // -- GRID COLUMN SPAN --
-  match = className.match(/^col-span-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column: span ${match[1]} / span ${match[1]}; }`;
-  if (className === 'col-span-full') return `.col-span-full { grid-column: 1 / -1; }`;
-  match = className.match(/^col-span-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-column: span ${match[1].replace(/_/g, ' ')} / span ${match[1].replace(/_/g, ' ')}; }`;
+  let match;
 
-  // -- GRID COLUMN START --
-  match = className.match(/^col-start-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column-start: ${match[1]}; }`;
-  match = className.match(/^-col-start-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column-start: -${match[1]}; }`;
-  if (className === 'col-start-auto') return `.col-start-auto { grid-column-start: auto; }`;
-  match = className.match(/^col-start-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-column-start: ${match[1].replace(/_/g, ' ')}; }`;
+  // -- INSETS --
+  const negative = className.startsWith('-');
+  const unsigned = negative ? className.slice(1) : className;
+  for (const prefix of Object.keys(insetUtilityProps)) {
+    if (!unsigned.startsWith(prefix + '-')) continue;
+    const value = resolveInsetValue(unsigned.slice(prefix.length + 1), theme);
+    if (value === null || (negative && value === 'auto')) return null;
+    return formatRule(selector, [`${insetUtilityProps[prefix]}: ${negative ? negateValue(value) : value}`]);
+  }
 
-  // -- GRID COLUMN END --
-  match = className.match(/^col-end-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column-end: ${match[1]}; }`;
-  match = className.match(/^-col-end-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column-end: -${match[1]}; }`;
-  if (className === 'col-end-auto') return `.col-end-auto { grid-column-end: auto; }`;
-  match = className.match(/^col-end-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-column-end: ${match[1].replace(/_/g, ' ')}; }`;
+  // -- Z-INDEX --
+  if ((match = className.match(/^(-?)z-(\d+|auto|\[.+\]|\(--[\w-]+\))$/))) {
+    let value = match[2];
+    if (value.startsWith('[')) value = value.slice(1, -1);
+    else if (value.startsWith('(')) value = `var(${value.slice(1, -1)})`;
+    if (match[1] && value === 'auto') return null;
+    return formatRule(selector, [`z-index: ${match[1] ? negateValue(value) : value}`]);
+  }
 
-  // -- GRID COLUMN (SHORTHAND) --
-  if (className === 'col-auto') return `.col-auto { grid-column: auto; }`;
-  match = className.match(/^col-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column: ${match[1]}; }`;
-  match = className.match(/^-col-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column: -${match[1]}; }`;
-  match = className.match(/^col-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-column: ${match[1].replace(/_/g, ' ')}; }`;
-  match = className.match(/^col-\((.+?)\)$/);
-  if (match) return `.${escapeClassName(className)} { grid-column: var(${match[1]}); }`;
+  // -- OVERFLOW --
+  if ((match = className.match(/^overflow(-[xy])?-(auto|hidden|clip|visible|scroll)$/))) {
+    return formatRule(selector, [`overflow${match[1] || ''}: ${match[2]}`]);
+  }
 
-  // -- GRID ROW SPAN --
-  match = className.match(/^row-span-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row: span ${match[1]} / span ${match[1]}; }`;
-  if (className === 'row-span-full') return `.row-span-full { grid-row: 1 / -1; }`;
-  match = className.match(/^row-span-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-row: span ${match[1].replace(/_/g, ' ')} / span ${match[1].replace(/_/g, ' ')}; }`;
+  // -- ASPECT RATIO AND OBJECT POSITION --
+  if ((match = className.match(/^aspect-(\d+)\/(\d+)$/))) {
+    return formatRule(selector, [`aspect-ratio: ${match[1]} / ${match[2]}`]);
+  }
+  if ((match = className.match(/^(aspect|object)-(?:\[(.+)\]|\((--[\w-]+)\))$/))) {
+    const value = match[2] ? match[2].replace(/_/g, ' ') : `var(${match[3]})`;
+    return formatRule(selector, [`${match[1] === 'aspect' ? 'aspect-ratio' : 'object-position'}: ${value}`]);
+  }
 
-  // -- GRID ROW START --
-  match = className.match(/^row-start-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row-start: ${match[1]}; }`;
-  match = className.match(/^-row-start-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row-start: -${match[1]}; }`;
-  if (className === 'row-start-auto') return `.row-start-auto { grid-row-start: auto; }`;
-  match = className.match(/^row-start-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-row-start: ${match[1].replace(/_/g, ' ')}; }`;
+  return null;
+}
 
-  // -- GRID ROW END --
-  match = className.match(/^row-end-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row-end: ${match[1]}; }`;
-  match = className.match(/^-row-end-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row-end: -${match[1]}; }`;
-  if (className === 'row-end-auto') return `.row-end-auto { grid-row-end: auto; }`;
-  match = className.match(/^row-end-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-row-end: ${match[1].replace(/_/g, ' ')}; }`;
+// ------------------------------
+// SIZING UTILITIES
+// ------------------------------
 
-  // -- GRID ROW (SHORTHAND) --
-  if (className === 'row-auto') return `.row-auto { grid-row: auto; }`;
-  match = className.match(/^row-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row: ${match[1]}; }`;
-  match = className.match(/^-row-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row: -${match[1]}; }`;
-  match = className.match(/^row-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-row: ${match[1].replace(/_/g, ' ')}; }`;
-  match = className.match(/^row-\((.+?)\)$/);
-  if (match) return `.${escapeClassName(className)} { grid-row: var(${match[1]}); }`;
+/**
+ * Sizing utility prefixes and the CSS properties they set. Longer prefixes come first
+ * so that "min-w-4" is not read as "w" with a stray "min-" prefix.
+ */
+const sizingUtilityProps = {
+  'min-w': ['min-width'],
+  'min-h': ['min-height'],
+  'max-w': ['max-width'],
+  'max-h': ['max-height'],
+  size: ['width', 'height'],
+  w: ['width'],
+  h: ['height'],
+};
 
-  // -- GRID AUTO-FLOW --
-  if (className === 'grid-flow-row') return `.grid-flow-row { grid-auto-flow: row; }`;
-  if (className === 'grid-flow-col') return `.grid-flow-col { grid-auto-flow: column; }`;
+/**
+ * Sizing keywords shared by every sizing prefix.
+ */
+const sizingKeywords = {
+  auto: 'auto',
+  full: '100%',
+  min: 'min-content',
+  max: 'max-content',
+  fit: 'fit-content',
+};
+
+/**
+ * Viewport keywords for the inline (width) and block (height) axes.
+ */
+const viewportKeywords = {
+  width: { screen: '100vw', dvw: '100dvw', svw: '100svw', lvw: '100lvw' },
+  height: { screen: '100vh', dvh: '100dvh', svh: '100svh', lvh: '100lvh', lh: '1lh' },
+};
+
+/**
+ * Resolves the value of a sizing utility: keywords, viewport units, fractions, the spacing scale,
+ * the container scale (width axis only), max-width extras, arbitrary values and custom properties.
+ * @param {string} prefix - The sizing prefix (e.g., "max-w").
+ * @param {string} key - The value after the prefix (e.g., "7xl", "1/2" or "[32rem]").
+ * @param {Object} theme - The resolved theme providing the spacing, containers and screens scales.
+ * @returns {string|null} The CSS value, or null if the key is not a sizing value.
+ */
+function resolveSizingValue(prefix, key, theme) {
+  const axis = /w$/.test(prefix) ? 'width' : prefix === 'size' ? null : 'height';
+  let match;
+  if (sizingKeywords.hasOwnProperty(key)) return sizingKeywords[key];
+  if (axis && viewportKeywords[axis].hasOwnProperty(key)) return viewportKeywords[axis][key];
+  if ((match = key.match(/^(\d+)\/(\d+)$/)) && Number(match[2]) !== 0) {
+    return `${Number(((match[1] / match[2]) * 100).toFixed(6))}%`;
+  }
+  if ((match = key.match(/^\(length:(--[\w-]+)\)$/))) return `var(${match[1]})`;
+  if (prefix === 'max-w') {
+    if (key === 'none') return 'none';
+    if (key === 'prose') return '65ch';
+    if ((match = key.match(/^screen-([\w-]+)$/)) && theme.screens.hasOwnProperty(match[1])) {
+      return theme.screens[match[1]];
+    }
+  }
+  if (prefix === 'max-h' && key === 'none') return 'none';
+  if (axis === 'width' && theme.containers && theme.containers.hasOwnProperty(key)) return theme.containers[key];
+  return resolveSpacingValue(key, theme);
+}
+
+/**
+ * Generates a sizing rule (w-, h-, size-, min-w-, min-h-, max-w-, max-h-).
+ * @param {string} className - The Tailwind-like class name (e.g., "w-1/2" or "min-h-dvh").
+ * @param {Object} theme - The resolved theme.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a sizing utility.
+ */
+function generateSizingRule(className, theme) {
+  for (const prefix of Object.keys(sizingUtilityProps)) {
+    if (!className.startsWith(prefix + '-')) continue;
+    const value = resolveSizingValue(prefix, className.slice(prefix.length + 1), theme);
+    if (value === null) return null;
+    return formatRule(
+      `.${escapeClassName(className)}`,
+      sizingUtilityProps[prefix].map((property) => `${property}: ${value}`)
+    );
+  }
+  return null;
+}
+
+// ------------------------------
+// BORDER, RADIUS, OUTLINE, RING AND DIVIDE UTILITIES
+// ------------------------------
+
+/**
+ * Border width prefixes and the property prefix of the sides they set ("border-top" ->
+ * border-top-style and border-top-width). Longer prefixes come first.
+ */
+const borderSideProps = {
+  'border-x': 'border-inline',
+  'border-y': 'border-block',
+  'border-s': 'border-inline-start',
+  'border-e': 'border-inline-end',
+  'border-t': 'border-top',
+  'border-r': 'border-right',
+  'border-b': 'border-bottom',
+  'border-l': 'border-left',
+  border: 'border',
+};
+
+/**
+ * Border radius sides and the corner properties they set.
+ */
+const radiusCornerProps = {
+  t: ['border-top-left-radius', 'border-top-right-radius'],
+  r: ['border-top-right-radius', 'border-bottom-right-radius'],
+  b: ['border-bottom-right-radius', 'border-bottom-left-radius'],
+  l: ['border-top-left-radius', 'border-bottom-left-radius'],
+  s: ['border-start-start-radius', 'border-end-start-radius'],
+  e: ['border-start-end-radius', 'border-end-end-radius'],
+  tl: ['border-top-left-radius'],
+  tr: ['border-top-right-radius'],
+  br: ['border-bottom-right-radius'],
+  bl: ['border-bottom-left-radius'],
+  ss: ['border-start-start-radius'],
+  se: ['border-start-end-radius'],
+  ee: ['border-end-end-radius'],
+  es: ['border-end-start-radius'],
+};
+
+/**
+ * Border, outline and divide line styles.
+ */
+const lineStyles = ['solid', 'dashed', 'dotted', 'double', 'hidden', 'none'];
+
+/**
+ * Resolves a line width: a bare number of pixels, a non-color arbitrary value or a "(length:--x)" property.
+ * @param {string|undefined} key - The value after the prefix, or undefined for the 1px default.
+ * @returns {string|null} The width, or null if the key is not a width.
+ */
+function resolveLineWidth(key) {
+  let match;
+  if (key === undefined) return '1px';
+  if (/^\d+(?:\.\d+)?$/.test(key)) return `${key}px`;
+  if ((match = key.match(/^\[(?:length:)?(.+)\]$/)) && !isArbitraryColor(match[1])) return match[1].replace(/_/g, ' ');
+  if ((match = key.match(/^\(length:(--[\w-]+)\)$/))) return `var(${match[1]})`;
+  return null;
+}
+
+/**
+ * Generates a divide rule. Like space-x/space-y, the widths go on every child but the last and
+ * --tw-divide-{axis}-reverse flips them for reversed flex directions.
+ * @param {string} className - The Tailwind-like class name (e.g., "divide-y" or "divide-x-2").
+ * @param {Object} theme - The resolved theme providing the divider colors.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a divide utility.
+ */
+function generateDivideRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  const childSelector = `${selector} > :not(:last-child)`;
+  let match;
+  if ((match = className.match(/^divide-([xy])-reverse$/))) {
+    return formatRule(selector, [`--tw-divide-${match[1]}-reverse: 1`]);
+  }
+  if ((match = className.match(/^divide-([xy])(?:-(.+))?$/))) {
+    const axis = match[1];
+    const width = resolveLineWidth(match[2]);
+    if (width === null) return null;
+    const [startSide, endSide] = axis === 'x' ? ['inline-start', 'inline-end'] : ['block-start', 'block-end'];
+    return [
+      formatRule(selector, [`--tw-divide-${axis}-reverse: 0`]),
+      formatRule(childSelector, [
+        `border-${startSide}-style: var(--tw-border-style, solid)`,
+        `border-${endSide}-style: var(--tw-border-style, solid)`,
+        `border-${startSide}-width: calc(${width} * var(--tw-divide-${axis}-reverse))`,
+        `border-${endSide}-width: calc(${width} * calc(1 - var(--tw-divide-${axis}-reverse)))`,
+      ]),
+    ].join('\n');
+  }
+  if ((match = className.match(/^divide-(.+)$/))) {
+    if (lineStyles.includes(match[1])) {
+      return formatRule(childSelector, [`--tw-border-style: ${match[1]}`, `border-style: ${match[1]}`]);
+    }
+    const color = resolveColorValue(match[1], theme);
+    if (color !== null) return formatRule(childSelector, [`border-color: ${color}`]);
+  }
+  return null;
+}
+
+/**
+ * Generates a border width or style, border radius, outline, ring or divide rule.
+ * Border, outline and ring colors are handled as color utilities.
+ * @param {string} className - The Tailwind-like class name (e.g., "border-t-2" or "rounded-lg").
+ * @param {Object} theme - The resolved theme providing the radius scale and colors.
+ * @returns {string|null} The generated CSS rule, or null if the class is not one of these utilities.
+ */
+function generateBorderRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  let match;
+  let value;
+
+  // -- BORDER WIDTH AND STYLE --
+  if ((match = className.match(/^border-(solid|dashed|dotted|double|hidden|none)$/))) {
+    return formatRule(selector, [`--tw-border-style: ${match[1]}`, `border-style: ${match[1]}`]);
+  }
+  for (const prefix of Object.keys(borderSideProps)) {
+    if (className !== prefix && !className.startsWith(prefix + '-')) continue;
+    const width = resolveLineWidth(className === prefix ? undefined : className.slice(prefix.length + 1));
+    if (width === null) continue;
+    const side = borderSideProps[prefix];
+    return formatRule(selector, [`${side}-style: var(--tw-border-style, solid)`, `${side}-width: ${width}`]);
+  }
+
+  // -- BORDER RADIUS --
+  if ((match = className.match(/^rounded(?:-(t|r|b|l|s|e|tl|tr|br|bl|ss|se|ee|es))?(?:-(.+))?$/))) {
+    const key = match[2] === undefined ? 'DEFAULT' : match[2];
+    if ((value = key.match(/^\[(.+)\]$/))) value = value[1].replace(/_/g, ' ');
+    else if ((value = key.match(/^\((--[\w-]+)\)$/))) value = `var(${value[1]})`;
+    else value = theme.borderRadius.hasOwnProperty(key) ? theme.borderRadius[key] : null;
+    if (value === null) return null;
+    const properties = match[1] ? radiusCornerProps[match[1]] : ['border-radius'];
+    return formatRule(selector, properties.map((property) => `${property}: ${value}`));
+  }
+
+  // -- OUTLINE --
+  if (className === 'outline-hidden') {
+    return formatRule(selector, ['outline: 2px solid transparent', 'outline-offset: 2px']);
+  }
+  if ((match = className.match(/^outline-(solid|dashed|dotted|double|none)$/))) {
+    return formatRule(selector, [`--tw-outline-style: ${match[1]}`, `outline-style: ${match[1]}`]);
+  }
+  if ((match = className.match(/^(-?)outline-offset-(.+)$/))) {
+    value = resolveLineWidth(match[2]);
+    if (value === null) return null;
+    return formatRule(selector, [`outline-offset: ${match[1] ? negateValue(value) : value}`]);
+  }
+  if ((match = className.match(/^outline(?:-(.+))?$/)) && (value = resolveLineWidth(match[1])) !== null) {
+    return formatRule(selector, ['outline-style: var(--tw-outline-style, solid)', `outline-width: ${value}`]);
+  }
+
+  // -- RINGS --
+  // Rings are box-shadows composed from --tw-ring-* variables, so a ring, its offset and a shadow can stack.
+  if (className === 'ring-inset') return formatRule(selector, ['--tw-ring-inset: inset']);
+  if ((match = className.match(/^ring-offset-(.+)$/)) && (value = resolveLineWidth(match[1])) !== null) {
+    return formatRule(selector, [
+      `--tw-ring-offset-width: ${value}`,
+      '--tw-ring-offset-shadow: var(--tw-ring-inset,) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color, #fff)',
+    ]);
+  }
+  if ((match = className.match(/^ring(?:-(.+))?$/)) && (value = resolveLineWidth(match[1])) !== null) {
+    return formatRule(selector, [
+      `--tw-ring-shadow: var(--tw-ring-inset,) 0 0 0 calc(${value} + var(--tw-ring-offset-width, 0px)) var(--tw-ring-color, currentColor)`,
+      'box-shadow: var(--tw-ring-offset-shadow, 0 0 #0000), var(--tw-ring-shadow), var(--tw-shadow, 0 0 #0000)',
+    ]);
+  }
+
+  // -- DIVIDE --
+  if (className.startsWith('divide-')) return generateDivideRule(className, theme);
+
+  return null;
+}
+
+// ------------------------------
+// EFFECT, FILTER, TRANSFORM, TRANSITION AND ANIMATION UTILITIES
+// ------------------------------
+
+/**
+ * Composed values. Each utility sets its own --tw-* variable and repeats the composed property,
+ * so utilities on the same element (e.g. "rotate-45 scale-95") combine instead of overriding each other.
+ */
+const transformValue =
+  'translate(var(--tw-translate-x, 0), var(--tw-translate-y, 0)) rotate(var(--tw-rotate, 0)) ' +
+  'skewX(var(--tw-skew-x, 0)) skewY(var(--tw-skew-y, 0)) scaleX(var(--tw-scale-x, 1)) scaleY(var(--tw-scale-y, 1))';
+const filterValue = ['blur', 'brightness', 'contrast', 'grayscale', 'hue-rotate', 'invert', 'saturate', 'sepia']
+  .map((name) => `var(--tw-${name},)`)
+  .join(' ');
+const backdropFilterValue = ['blur', 'brightness', 'contrast', 'grayscale', 'hue-rotate', 'invert', 'opacity', 'saturate', 'sepia']
+  .map((name) => `var(--tw-backdrop-${name},)`)
+  .join(' ');
+const boxShadowValue = 'var(--tw-ring-offset-shadow, 0 0 #0000), var(--tw-ring-shadow, 0 0 #0000), var(--tw-shadow)';
+
+/**
+ * Filter functions: the unit of bare numbers, the value of the bare class (e.g. "grayscale"),
+ * and whether the function only exists as a backdrop filter.
+ */
+const filterFunctions = {
+  blur: { scale: 'blur' },
+  brightness: { unit: '%' },
+  contrast: { unit: '%' },
+  grayscale: { unit: '%', bare: '100%' },
+  'hue-rotate': { unit: 'deg' },
+  invert: { unit: '%', bare: '100%' },
+  saturate: { unit: '%' },
+  sepia: { unit: '%', bare: '100%' },
+  opacity: { unit: '%', backdropOnly: true },
+};
+
+/**
+ * Properties animated by each transition-* class.
+ */
+const transitionProperties = {
+  transition:
+    'color, background-color, border-color, outline-color, text-decoration-color, fill, stroke, opacity, box-shadow, ' +
+    'transform, translate, scale, rotate, filter, -webkit-backdrop-filter, backdrop-filter',
+  'transition-all': 'all',
+  'transition-colors': 'color, background-color, border-color, outline-color, text-decoration-color, fill, stroke',
+  'transition-opacity': 'opacity',
+  'transition-shadow': 'box-shadow',
+  'transition-transform': 'transform, translate, scale, rotate',
+};
+
+const transformOrigins = {
+  center: 'center',
+  top: 'top',
+  'top-right': 'top right',
+  right: 'right',
+  'bottom-right': 'bottom right',
+  bottom: 'bottom',
+  'bottom-left': 'bottom left',
+  left: 'left',
+  'top-left': 'top left',
+};
+
+/**
+ * Resolves a bare number (with a unit), an arbitrary value, a custom property or a theme scale key.
+ * @param {string} key - The value after the prefix.
+ * @param {string} unit - The unit appended to bare numbers (e.g., "deg" or "%").
+ * @param {Object} [scale] - The theme scale to look other keys up in.
+ * @returns {string|null} The CSS value, or null if it cannot be resolved.
+ */
+function resolveEffectValue(key, unit, scale) {
+  let match;
+  if (/^\d+(?:\.\d+)?$/.test(key)) return `${key}${unit}`;
+  if ((match = key.match(/^\[(.+)\]$/))) return match[1].replace(/_/g, ' ');
+  if ((match = key.match(/^\((--[\w-]+)\)$/))) return `var(${match[1]})`;
+  if (scale && scale.hasOwnProperty(key)) return scale[key];
+  return null;
+}
+
+/**
+ * Generates a filter or backdrop filter rule (e.g. "blur-sm", "backdrop-blur", "-hue-rotate-15").
+ * @param {string} className - The Tailwind-like class name.
+ * @param {Object} theme - The resolved theme providing the blur scale.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a filter utility.
+ */
+function generateFilterRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  if (className === 'filter-none') return formatRule(selector, ['filter: none']);
+  if (className === 'backdrop-filter-none') {
+    return formatRule(selector, ['-webkit-backdrop-filter: none', 'backdrop-filter: none']);
+  }
+  const names = Object.keys(filterFunctions).join('|');
+  const match = className.match(new RegExp(`^(-?)(backdrop-)?(${names})(?:-(.+))?$`));
+  if (!match) return null;
+  const [, sign, backdrop, name, key] = match;
+  const spec = filterFunctions[name];
+  if (spec.backdropOnly && !backdrop) return null;
+  let value;
+  if (key === undefined) value = spec.scale ? theme[spec.scale].DEFAULT : spec.bare;
+  else value = resolveEffectValue(key, spec.unit || '', spec.scale ? theme[spec.scale] : null);
+  if (value === undefined || value === null || (sign && name !== 'hue-rotate')) return null;
+  const variable = `--tw-${backdrop ? 'backdrop-' : ''}${name}: ${name}(${sign ? negateValue(value) : value})`;
+  return backdrop
+    ? formatRule(selector, [variable, `-webkit-backdrop-filter: ${backdropFilterValue}`, `backdrop-filter: ${backdropFilterValue}`])
+    : formatRule(selector, [variable, `filter: ${filterValue}`]);
+}
+
+/**
+ * Generates a transform rule: translate, rotate, scale and skew set their --tw-* variables and the
+ * composed transform; transform-none and origin-* set the property directly.
+ * @param {string} className - The Tailwind-like class name (e.g., "-translate-x-1/2" or "scale-95").
+ * @param {Object} theme - The resolved theme providing the spacing scale.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a transform utility.
+ */
+function generateTransformRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  let match;
+  if (className === 'transform-none') return formatRule(selector, ['transform: none']);
+  if ((match = className.match(/^origin-(.+)$/))) {
+    const value = transformOrigins[match[1]] || resolveEffectValue(match[1], '', null);
+    return value ? formatRule(selector, [`transform-origin: ${value}`]) : null;
+  }
+
+  match = className.match(/^(-?)(translate|rotate|scale|skew)(?:-([xy]))?-(.+)$/);
+  if (!match) return null;
+  const [, sign, kind, axis, key] = match;
+  let value;
+  if (kind === 'translate') {
+    value = resolveInsetValue(key, theme);
+    if (value === 'auto') value = null;
+  } else if (kind === 'scale') {
+    value = resolveEffectValue(key, '%', null);
+  } else if (kind === 'rotate' ? !axis : axis) {
+    value = resolveEffectValue(key, 'deg', null);
+  }
+  if (!value) return null;
+  if (sign) value = negateValue(value);
+  const variables =
+    kind === 'rotate' ? ['--tw-rotate'] : (axis ? [axis] : ['x', 'y']).map((a) => `--tw-${kind}-${a}`);
+  return formatRule(selector, [...variables.map((variable) => `${variable}: ${value}`), `transform: ${transformValue}`]);
+}
+
+/**
+ * Generates a box-shadow, opacity, filter, transform, transition or animation rule.
+ * @param {string} className - The Tailwind-like class name (e.g., "shadow-md" or "duration-200").
+ * @param {Object} theme - The resolved theme providing the effect scales.
+ * @returns {string|null} The generated CSS rule, or null if the class is not one of these utilities.
+ */
+function generateEffectRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  let match;
+  let value;
+
+  // -- BOX SHADOW AND OPACITY --
+  if ((match = className.match(/^shadow(?:-(.+))?$/))) {
+    const key = match[1] === undefined ? 'DEFAULT' : match[1];
+    value = resolveEffectValue(key, '', theme.boxShadow);
+    if (!value || /^\d/.test(key) || (key.startsWith('[') && isArbitraryColor(key.slice(1, -1)))) return null;
+    return formatRule(selector, [`--tw-shadow: ${value}`, `box-shadow: ${boxShadowValue}`]);
+  }
+  if ((match = className.match(/^opacity-(.+)$/)) && (value = resolveEffectValue(match[1], '%', null))) {
+    return formatRule(selector, [`opacity: ${value}`]);
+  }
+
+  // -- FILTERS AND TRANSFORMS --
+  const filterRule = generateFilterRule(className, theme);
+  if (filterRule) return filterRule;
+  const transformRule = generateTransformRule(className, theme);
+  if (transformRule) return transformRule;
+
+  // -- TRANSITIONS --
+  if (transitionProperties[className]) {
+    return formatRule(selector, [
+      `transition-property: ${transitionProperties[className]}`,
+      `transition-timing-function: var(--tw-ease, ${theme.transitionTimingFunction.DEFAULT})`,
+      'transition-duration: var(--tw-duration, 150ms)',
+    ]);
+  }
+  if (className === 'transition-none') return formatRule(selector, ['transition-property: none']);
+  if ((match = className.match(/^(duration|delay)-(.+)$/)) && (value = resolveEffectValue(match[2], 'ms', null))) {
+    return match[1] === 'duration'
+      ? formatRule(selector, [`--tw-duration: ${value}`, `transition-duration: ${value}`])
+      : formatRule(selector, [`transition-delay: ${value}`]);
+  }
+  if ((match = className.match(/^ease-(.+)$/))) {
+    value = resolveEffectValue(match[1], '', theme.transitionTimingFunction);
+    return value ? formatRule(selector, [`--tw-ease: ${value}`, `transition-timing-function: ${value}`]) : null;
+  }
+
+  // -- ANIMATIONS --
+  if ((match = className.match(/^animate-(.+)$/)) && (value = resolveEffectValue(match[1], '', theme.animation))) {
+    return formatRule(selector, [`animation: ${value}`]);
+  }
+
+  return null;
+}
+
+/**
+ * Finds the theme animations used by a set of rules.
+ * @param {string[]} rules - The generated CSS rules.
+ * @param {Object} theme - The resolved theme providing the keyframes.
+ * @returns {{name: string, frames: {selector: string, declarations: string[]}[]}[]} One entry per
+ *   animation name, in order of first use.
+ */
+function findKeyframes(rules, theme) {
+  const names = new Set();
+  rules.forEach((rule) => {
+    const animationRegex = /animation: ([\w-]+)/g;
+    let match;
+    while ((match = animationRegex.exec(rule)) !== null) {
+      if (theme.keyframes.hasOwnProperty(match[1])) names.add(match[1]);
+    }
+  });
+  return Array.from(names).map((name) => {
+    const frames = theme.keyframes[name];
+    return {
+      name,
+      frames: Object.keys(frames).map((frame) => ({
+        selector: frame,
+        declarations: Object.keys(frames[frame]).map(
+          (property) => `${property.replace(/[A-Z]/g, (ch) => '-' + ch.toLowerCase())}: ${frames[frame][property]}`
+        ),
+      })),
+    };
+  });
+}
+
+/**
+ * Builds the @keyframes blocks for the theme animations used by a set of rules.
+ * @param {string[]} rules - The generated CSS rules.
+ * @param {Object} theme - The resolved theme providing the keyframes.
+ * @returns {string[]} One @keyframes block per animation name, in order of first use.
+ */
+function generateKeyframes(rules, theme) {
+  return findKeyframes(rules, theme).map(formatKeyframes);
+}
+
+// ------------------------------
+// BACKGROUND AND GRADIENT UTILITIES
+// ------------------------------
+
+/**
+ * Single-class background utilities: size, position, repeat, attachment, clip and origin.
+ */
+const backgroundStatics = {
+  'bg-auto': ['background-size: auto'],
+  'bg-cover': ['background-size: cover'],
+  'bg-contain': ['background-size: contain'],
+  'bg-center': ['background-position: center'],
+  'bg-top': ['background-position: top'],
+  'bg-bottom': ['background-position: bottom'],
+  'bg-left': ['background-position: left'],
+  'bg-right': ['background-position: right'],
+  'bg-top-left': ['background-position: left top'],
+  'bg-top-right': ['background-position: right top'],
+  'bg-bottom-left': ['background-position: left bottom'],
+  'bg-bottom-right': ['background-position: right bottom'],
+  'bg-left-top': ['background-position: left top'],
+  'bg-left-bottom': ['background-position: left bottom'],
+  'bg-right-top': ['background-position: right top'],
+  'bg-right-bottom': ['background-position: right bottom'],
+  'bg-repeat': ['background-repeat: repeat'],
+  'bg-no-repeat': ['background-repeat: no-repeat'],
+  'bg-repeat-x': ['background-repeat: repeat-x'],
+  'bg-repeat-y': ['background-repeat: repeat-y'],
+  'bg-repeat-round': ['background-repeat: round'],
+  'bg-repeat-space': ['background-repeat: space'],
+  'bg-fixed': ['background-attachment: fixed'],
+  'bg-local': ['background-attachment: local'],
+  'bg-scroll': ['background-attachment: scroll'],
+  'bg-clip-border': ['background-clip: border-box'],
+  'bg-clip-padding': ['background-clip: padding-box'],
+  'bg-clip-content': ['background-clip: content-box'],
+  'bg-clip-text': ['-webkit-background-clip: text', 'background-clip: text'],
+  'bg-origin-border': ['background-origin: border-box'],
+  'bg-origin-padding': ['background-origin: padding-box'],
+  'bg-origin-content': ['background-origin: content-box'],
+  'bg-none': ['background-image: none'],
+};
+
+/**
+ * Gradient directions of bg-gradient-to-* (v3) and bg-linear-to-* (v4).
+ */
+const gradientDirections = {
+  t: 'to top',
+  tr: 'to top right',
+  r: 'to right',
+  br: 'to bottom right',
+  b: 'to bottom',
+  bl: 'to bottom left',
+  l: 'to left',
+  tl: 'to top left',
+};
+
+/**
+ * Maps the type hint of an arbitrary background value to the property it sets.
+ */
+const backgroundTypeHints = {
+  url: 'background-image',
+  image: 'background-image',
+  length: 'background-size',
+  size: 'background-size',
+  position: 'background-position',
+};
+
+/**
+ * Generates a gradient color stop rule (from-*, via-*, to-*). Each stop sets its --tw-gradient-*
+ * variable and --tw-gradient-stops, so stops declared on separate classes combine into the single
+ * background-image of the bg-linear-* / bg-gradient-to-* class.
+ * @param {string} className - The Tailwind-like class name (e.g., "via-purple-500" or "from-10%").
+ * @param {Object} theme - The resolved theme providing the colors.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a gradient stop.
+ */
+function generateGradientStopRule(className, theme) {
+  const match = className.match(/^(from|via|to)-(.+)$/);
+  if (!match) return null;
+  const [, stop, value] = match;
+  const selector = `.${escapeClassName(className)}`;
+
+  // Stop positions: from-10%, via-[30px], to-(--stop).
+  let position = null;
+  let arbitrary;
+  if (/^\d+(?:\.\d+)?%$/.test(value)) position = value;
+  else if ((arbitrary = value.match(/^\[(.+)\]$/)) && !isArbitraryColor(arbitrary[1])) position = arbitrary[1].replace(/_/g, ' ');
+  else if ((arbitrary = value.match(/^\((?:length|percentage):(--[\w-]+)\)$/))) position = `var(${arbitrary[1]})`;
+  if (position !== null) return formatRule(selector, [`--tw-gradient-${stop}-position: ${position}`]);
+
+  const color = resolveColorValue(value, theme);
+  if (color === null) return null;
+  const transparentTo = '--tw-gradient-to: transparent var(--tw-gradient-to-position,)';
+  if (stop === 'from') {
+    return formatRule(selector, [
+      `--tw-gradient-from: ${color} var(--tw-gradient-from-position,)`,
+      transparentTo,
+      '--tw-gradient-stops: var(--tw-gradient-from), var(--tw-gradient-to)',
+    ]);
+  }
+  if (stop === 'via') {
+    return formatRule(selector, [
+      transparentTo,
+      `--tw-gradient-stops: var(--tw-gradient-from, transparent), ${color} var(--tw-gradient-via-position,), var(--tw-gradient-to)`,
+    ]);
+  }
+  return formatRule(selector, [`--tw-gradient-to: ${color} var(--tw-gradient-to-position,)`]);
+}
+
+/**
+ * Generates a background rule: gradients and their stops, images, size, position, repeat,
+ * attachment, clip and origin. Background colors are handled as color utilities.
+ * @param {string} className - The Tailwind-like class name (e.g., "bg-linear-to-r" or "bg-[url(/hero.png)]").
+ * @param {Object} theme - The resolved theme providing the colors and background images.
+ * @returns {string|null} The generated CSS rule, or null if the class is not a background utility.
+ */
+function generateBackgroundRule(className, theme) {
+  const selector = `.${escapeClassName(className)}`;
+  if (backgroundStatics[className]) return formatRule(selector, backgroundStatics[className]);
+  if (!className.startsWith('bg-')) return generateGradientStopRule(className, theme);
+
+  let match;
+  if ((match = className.match(/^bg-(?:gradient|linear)-to-(t|tr|r|br|b|bl|l|tl)$/))) {
+    return formatRule(selector, [`background-image: linear-gradient(${gradientDirections[match[1]]}, var(--tw-gradient-stops))`]);
+  }
+  if ((match = className.match(/^(-?)bg-linear-(\d+)$/))) {
+    return formatRule(selector, [`background-image: linear-gradient(${match[1]}${match[2]}deg, var(--tw-gradient-stops))`]);
+  }
+  if ((match = className.match(/^bg-(radial|conic)$/))) {
+    return formatRule(selector, [`background-image: ${match[1]}-gradient(var(--tw-gradient-stops))`]);
+  }
+  if ((match = className.match(/^bg-(?:size|position)-\[(.+)\]$/))) {
+    const property = className.startsWith('bg-size-') ? 'background-size' : 'background-position';
+    return formatRule(selector, [`${property}: ${match[1].replace(/_/g, ' ')}`]);
+  }
+  if ((match = className.match(/^bg-\(([\w-]+):(--[\w-]+)\)$/)) && backgroundTypeHints[match[1]]) {
+    return formatRule(selector, [`${backgroundTypeHints[match[1]]}: var(${match[2]})`]);
+  }
+  if ((match = className.match(/^bg-\[(.+)\]$/))) {
+    // Underscores are spaces, except inside url() where they are part of the path.
+    const value = match[1].startsWith('url(') ? match[1] : match[1].replace(/_/g, ' ');
+    const hint = value.match(/^([\w-]+):(.+)$/);
+    if (hint && backgroundTypeHints[hint[1]] && hint[1] !== 'url') {
+      return formatRule(selector, [`${backgroundTypeHints[hint[1]]}: ${hint[2]}`]);
+    }
+    if (/^(?:url|(?:repeating-)?(?:linear|radial|conic)-gradient|image-set)\(/.test(value)) {
+      return formatRule(selector, [`background-image: ${value}`]);
+    }
+    // Arbitrary colors (with their opacity modifiers) are handled as color utilities.
+    if (isArbitraryColor(match[1])) return null;
+    return formatRule(selector, [`background-color: ${value}`]);
+  }
+  const key = className.slice(3);
+  if (theme.backgroundImage && theme.backgroundImage.hasOwnProperty(key)) {
+    return formatRule(selector, [`background-image: ${theme.backgroundImage[key]}`]);
+  }
+  return null;
+}
+
+// ------------------------------
+// UTILITY CSS GENERATION
+// ------------------------------
+
+/**
+ * Generates the CSS rule for a bare (variant-free) Tailwind-like utility class.
+ * @param {string} className - The utility class name to convert.
+ * @param {Object} theme - The resolved theme that provides spacing and color values.
+ * @returns {string|null} The generated CSS rule, or null if no rule applies.
+ */
+function generateUtilityCss(className, theme) {
+  // -- GRID DISPLAY --
+  if (className === 'grid') return `.grid { display: grid; }`;
+
+  // -- GRID TEMPLATE COLUMNS --
+  let match;
+  match = className.match(/^grid-cols-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-template-columns: repeat(${match[1]}, minmax(0, 1fr)); }`;
+  if (className === 'grid-cols-none') return `.grid-cols-none { grid-template-columns: none; }`;
+  if (className === 'grid-cols-subgrid') return `.grid-cols-subgrid { grid-template-columns: subgrid; }`;
+  match = className.match(/^grid-cols-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-template-columns: ${match[1].replace(/_/g, ' ')}; }`;
+  match = className.match(/^grid-cols-\((.+?)\)$/);
+  if (match) return `.${escapeClassName(className)} { grid-template-columns: var(${match[1]}); }`;
+
+  // -- GRID TEMPLATE ROWS --
+  match = className.match(/^grid-rows-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-template-rows: repeat(${match[1]}, minmax(0, 1fr)); }`;
+  if (className === 'grid-rows-none') return `.grid-rows-none { grid-template-rows: none; }`;
+  if (className === 'grid-rows-subgrid') return `.grid-rows-subgrid { grid-template-rows: subgrid; }`;
+  match = className.match(/^grid-rows-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-template-rows: ${match[1].replace(/_/g, ' ')}; }`;
+  match = className.match(/^grid-rows-\((.+?)\)$/);
+  if (match) return `.${escapeClassName(className)} { grid-template-rows: var(${match[1]}); }`;
+
+  // -- GRID COLUMN SPAN --
+  match = className.match(/^col-span-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column: span ${match[1]} / span ${match[1]}; }`;
+  if (className === 'col-span-full') return `.col-span-full { grid-column: 1 / -1; }`;
+  match = className.match(/^col-span-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-column: span ${match[1].replace(/_/g, ' ')} / span ${match[1].replace(/_/g, ' ')}; }`;
+
+  // -- GRID COLUMN START --
+  match = className.match(/^col-start-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column-start: ${match[1]}; }`;
+  match = className.match(/^-col-start-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column-start: -${match[1]}; }`;
+  if (className === 'col-start-auto') return `.col-start-auto { grid-column-start: auto; }`;
+  match = className.match(/^col-start-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-column-start: ${match[1].replace(/_/g, ' ')}; }`;
+
+  // -- GRID COLUMN END --
+  match = className.match(/^col-end-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column-end: ${match[1]}; }`;
+  match = className.match(/^-col-end-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column-end: -${match[1]}; }`;
+  if (className === 'col-end-auto') return `.col-end-auto { grid-column-end: auto; }`;
+  match = className.match(/^col-end-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-column-end: ${match[1].replace(/_/g, ' ')}; }`;
+
+  // -- GRID COLUMN (SHORTHAND) --
+  if (className === 'col-auto') return `.col-auto { grid-column: auto; }`;
+  match = className.match(/^col-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column: ${match[1]}; }`;
+  match = className.match(/^-col-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column: -${match[1]}; }`;
+  match = className.match(/^col-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-column: ${match[1].replace(/_/g, ' ')}; }`;
+  match = className.match(/^col-\((.+?)\)$/);
+  if (match) return `.${escapeClassName(className)} { grid-column: var(${match[1]}); }`;
+
+  // -- GRID ROW SPAN --
+  match = className.match(/^row-span-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row: span ${match[1]} / span ${match[1]}; }`;
+  if (className === 'row-span-full') return `.row-span-full { grid-row: 1 / -1; }`;
+  match = className.match(/^row-span-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-row: span ${match[1].replace(/_/g, ' ')} / span ${match[1].replace(/_/g, ' ')}; }`;
+
+  // -- GRID ROW START --
+  match = className.match(/^row-start-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row-start: ${match[1]}; }`;
+  match = className.match(/^-row-start-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row-start: -${match[1]}; }`;
+  if (className === 'row-start-auto') return `.row-start-auto { grid-row-start: auto; }`;
+  match = className.match(/^row-start-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-row-start: ${match[1].replace(/_/g, ' ')}; }`;
+
+  // -- GRID ROW END --
+  match = className.match(/^row-end-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row-end: ${match[1]}; }`;
+  match = className.match(/^-row-end-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row-end: -${match[1]}; }`;
+  if (className === 'row-end-auto') return `.row-end-auto { grid-row-end: auto; }`;
+  match = className.match(/^row-end-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-row-end: ${match[1].replace(/_/g, ' ')}; }`;
+
+  // -- GRID ROW (SHORTHAND) --
+  if (className === 'row-auto') return `.row-auto { grid-row: auto; }`;
+  match = className.match(/^row-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row: ${match[1]}; }`;
+  match = className.match(/^-row-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row: -${match[1]}; }`;
+  match = className.match(/^row-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-row: ${match[1].replace(/_/g, ' ')}; }`;
+  match = className.match(/^row-\((.+?)\)$/);
+  if (match) return `.${escapeClassName(className)} { grid-row: var(${match[1]}); }`;
+
+  // -- GRID AUTO-FLOW --
+  if (className === 'grid-flow-row') return `.grid-flow-row { grid-auto-flow: row; }`;
+  if (className === 'grid-flow-col') return `.grid-flow-col { grid-auto-flow: column; }`;
   if (className === 'grid-flow-dense') return `.grid-flow-dense { grid-auto-flow: dense; }`;
   if (className === 'grid-flow-row-dense') return `.grid-flow-row-dense { grid-auto-flow: row dense; }`;
   if (className === 'grid-flow-col-dense') return `.grid-flow-col-dense { grid-auto-flow: column dense; }`;
 
-  // -- GRID AUTO-COLUMNS --
-  if (className === 'auto-cols-auto') return `.auto-cols-auto { grid-auto-columns: auto; }`;
-  if (className === 'auto-cols-min') return `.auto-cols-min { grid-auto-columns: min-content; }`;
-  if (className === 'auto-cols-max') return `.auto-cols-max { grid-auto-columns: max-content; }`;
-  if (className === 'auto-cols-fr') return `.auto-cols-fr { grid-auto-columns: minmax(0, 1fr); }`;
-  match = className.match(/^auto-cols-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-auto-columns: ${match[1].replace(/_/g, ' ')}; }`;
-  match = className.match(/^auto-cols-\((.+?)\)$/);
-  if (match) return `.${escapeClassName(className)} { grid-auto-columns: var(${match[1]}); }`;
+  // -- GRID AUTO-COLUMNS --
+  if (className === 'auto-cols-auto') return `.auto-cols-auto { grid-auto-columns: auto; }`;
+  if (className === 'auto-cols-min') return `.auto-cols-min { grid-auto-columns: min-content; }`;
+  if (className === 'auto-cols-max') return `.auto-cols-max { grid-auto-columns: max-content; }`;
+  if (className === 'auto-cols-fr') return `.auto-cols-fr { grid-auto-columns: minmax(0, 1fr); }`;
+  match = className.match(/^auto-cols-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-auto-columns: ${match[1].replace(/_/g, ' ')}; }`;
+  match = className.match(/^auto-cols-\((.+?)\)$/);
+  if (match) return `.${escapeClassName(className)} { grid-auto-columns: var(${match[1]}); }`;
+
+  // -- GRID AUTO-ROWS --
+  if (className === 'auto-rows-auto') return `.auto-rows-auto { grid-auto-rows: auto; }`;
+  if (className === 'auto-rows-min') return `.auto-rows-min { grid-auto-rows: min-content; }`;
+  if (className === 'auto-rows-max') return `.auto-rows-max { grid-auto-rows: max-content; }`;
+  if (className === 'auto-rows-fr') return `.auto-rows-fr { grid-auto-rows: minmax(0, 1fr); }`;
+  match = className.match(/^auto-rows-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { grid-auto-rows: ${match[1].replace(/_/g, ' ')}; }`;
+  match = className.match(/^auto-rows-\((.+?)\)$/);
+  if (match) return `.${escapeClassName(className)} { grid-auto-rows: var(${match[1]}); }`;
+
+  // -- FLEX UTILITIES --
+  if (className === 'flex') return `.flex { display: flex; }`;
+  if (className === 'flex-auto') return `.flex-auto { flex: 1 1 auto; }`;
+  if (className === 'flex-initial') return `.flex-initial { flex: 0 1 auto; }`;
+  if (className === 'flex-none') return `.flex-none { flex: none; }`;
+  match = className.match(/^flex-(\d+)$/);
+  if (match) return `.${escapeClassName(className)} { flex: ${match[1]}; }`;
+  match = className.match(/^flex-(\d+\/\d+)$/);
+  if (match) return `.${escapeClassName(className)} { flex: calc(${match[1]} * 100%); }`;
+  match = className.match(/^flex-\((.+)\)$/);
+  if (match) return `.${escapeClassName(className)} { flex: var(${match[1]}); }`;
+  match = className.match(/^flex-\[(.+?)\]$/);
+  if (match) return `.${escapeClassName(className)} { flex: ${match[1].replace(/_/g, ' ')}; }`;
+
+  // -- FLEX WRAP UTILITIES --
+  if (className === 'flex-wrap') return `.flex-wrap { flex-wrap: wrap; }`;
+  if (className === 'flex-nowrap') return `.flex-nowrap { flex-wrap: nowrap; }`;
+  if (className === 'flex-wrap-reverse') return `.flex-wrap-reverse { flex-wrap: wrap-reverse; }`;
+
+  // -- MARGIN, PADDING AND GAP UTILITIES --
+  const spacingRule = generateSpacingRule(className, theme);
+  if (spacingRule) return spacingRule;
+
+  // -- SPACE UTILITIES --
+  const spaceRule = generateSpaceRule(className, theme);
+  if (spaceRule) return spaceRule;
+
+  // -- OTHER PREVIOUSLY SUPPORTED CLASSES --
+  if (className === 'flex-row') return `.flex-row { flex-direction: row; }`;
+  if (className === 'flex-col') return `.flex-col { flex-direction: column; }`;
+  if (className === 'flex-row-reverse') return `.flex-row-reverse { flex-direction: row-reverse; }`;
+  if (className === 'flex-col-reverse') return `.flex-col-reverse { flex-direction: column-reverse; }`;
+  if (className === 'box-border') return `.box-border { box-sizing: border-box; }`;
+
+  // -- JUSTIFY, ALIGN & SELF UTILITIES --
+  const justifyMapping = {
+    'justify-start': 'flex-start',
+    'justify-end': 'flex-end',
+    'justify-center': 'center',
+    'justify-between': 'space-between',
+    'justify-around': 'space-around',
+    'justify-evenly': 'space-evenly',
+    'justify-stretch': 'stretch',
+    'justify-baseline': 'baseline',
+    'justify-normal': 'normal',
+  };
+  if (justifyMapping[className])
+    return `.${className} { justify-content: ${justifyMapping[className]}; }`;
+
+  const itemsMapping = {
+    'items-start': 'flex-start',
+    'items-end': 'flex-end',
+    'items-center': 'center',
+    'items-baseline': 'baseline',
+    'items-stretch': 'stretch',
+  };
+  if (itemsMapping[className])
+    return `.${className} { align-items: ${itemsMapping[className]}; }`;
+
+  const contentMapping = {
+    'content-normal': 'normal',
+    'content-center': 'center',
+    'content-start': 'flex-start',
+    'content-end': 'flex-end',
+    'content-between': 'space-between',
+    'content-around': 'space-around',
+    'content-evenly': 'space-evenly',
+    'content-baseline': 'baseline',
+    'content-stretch': 'stretch',
+  };
+  if (contentMapping[className])
+    return `.${className} { align-content: ${contentMapping[className]}; }`;
+
+  const selfMapping = {
+    'self-auto': 'auto',
+    'self-start': 'flex-start',
+    'self-end': 'flex-end',
+    'self-center': 'center',
+    'self-stretch': 'stretch',
+    'self-baseline': 'baseline',
+  };
+  if (selfMapping[className])
+    return `.${className} { align-self: ${selfMapping[className]}; }`;
+
+  // -- BORDER, RADIUS, OUTLINE, RING AND DIVIDE UTILITIES --
+  const borderRule = generateBorderRule(className, theme);
+  if (borderRule) return borderRule;
+
+  // -- EFFECT, FILTER, TRANSFORM, TRANSITION AND ANIMATION UTILITIES --
+  const effectRule = generateEffectRule(className, theme);
+  if (effectRule) return effectRule;
+
+  // -- LAYOUT UTILITIES --
+  const layoutRule = generateLayoutRule(className, theme);
+  if (layoutRule) return layoutRule;
+
+  // -- SIZING UTILITIES --
+  const sizingRule = generateSizingRule(className, theme);
+  if (sizingRule) return sizingRule;
+
+  // -- BACKGROUND AND GRADIENT UTILITIES --
+  const backgroundRule = generateBackgroundRule(className, theme);
+  if (backgroundRule) return backgroundRule;
+
+  // -- COLOR UTILITIES --
+  const colorRule = generateColorRule(className, theme);
+  if (colorRule) return colorRule;
+
+  // -- TYPOGRAPHY UTILITIES --
+  const typographyRule = generateTypographyRule(className, theme);
+  if (typographyRule) return typographyRule;
+
+  return null;
+}
+
+// ------------------------------
+// PROJECT-DEFINED UTILITIES (@utility)
+// ------------------------------
+
+/**
+ * Resolves a --value(...) call of a functional @utility for the value part of a class name.
+ * Supports the integer, number and percentage types, arbitrary values ([*], [length], ...),
+ * theme namespaces (--tab-size-*) and quoted literals, tried in order.
+ * @param {string} args - The comma-separated --value() arguments.
+ * @param {string} value - The class name's value (e.g., "4" for "tab-4").
+ * @param {Object<string, string>} variables - The @theme variables.
+ * @returns {string|null} The resolved value, or null if no argument accepts it.
+ */
+function resolveUtilityValue(args, value, variables) {
+  const arbitrary = value.match(/^\[(.+)\]$/);
+  for (const arg of args.split(',').map((a) => a.trim())) {
+    const literal = arg.match(/^(['"])(.*)\1$/);
+    if (literal && literal[2] === value) return value;
+    if (arg === 'integer' && /^\d+$/.test(value)) return value;
+    if (arg === 'number' && /^\d+(?:\.\d+)?$/.test(value)) return value;
+    if (arg === 'percentage' && /^\d+(?:\.\d+)?%$/.test(value)) return value;
+    if (/^\[.+\]$/.test(arg) && arbitrary) return arbitrary[1].replace(/_/g, ' ');
+    const namespace = arg.match(/^(--[\w-]+)-\*$/);
+    if (namespace && variables.hasOwnProperty(`${namespace[1]}-${value}`)) return `var(${namespace[1]}-${value})`;
+  }
+  return null;
+}
+
+/**
+ * Builds the rules of a @utility body for a selector. Nested "&" blocks become their own rules.
+ * @param {string} selector - The utility's selector.
+ * @param {string} body - The @utility body.
+ * @param {function(string): (string|null)} resolveDeclaration - Resolves a declaration, or returns null to drop it.
+ * @returns {string|null} The CSS rules, or null if no declaration applies.
+ */
+function buildCustomUtilityRules(selector, body, resolveDeclaration) {
+  const { declarations, blocks } = parseBlockBody(body);
+  const rules = [];
+  const resolved = declarations.map(resolveDeclaration).filter(Boolean);
+  if (resolved.length) rules.push(formatRule(selector, resolved));
+  blocks.forEach((block) => {
+    if (!block.prelude.includes('&')) return;
+    const nested = buildCustomUtilityRules(block.prelude.replace(/&/g, selector), block.body, resolveDeclaration);
+    if (nested) rules.push(nested);
+  });
+  return rules.length ? rules.join('\n') : null;
+}
+
+/**
+ * Generates the CSS for a utility declared with @utility in the project's CSS.
+ * Static utilities ("@utility content-auto") match by name; functional ones ("@utility tab-*")
+ * match by prefix and resolve their --value(...) calls.
+ * @param {string} className - The utility class name (e.g., "tab-4").
+ * @param {ReturnType<typeof parseCssConfig>} cssConfig - The parsed CSS configuration.
+ * @returns {string|null} The generated CSS rule, or null if no @utility matches.
+ */
+function generateCustomUtilityCss(className, cssConfig) {
+  const selector = `.${escapeClassName(className)}`;
+  const { utilities, variables } = cssConfig;
+  if (utilities.hasOwnProperty(className)) {
+    return buildCustomUtilityRules(selector, utilities[className], (declaration) => declaration);
+  }
+  for (const name of Object.keys(utilities)) {
+    if (!name.endsWith('-*') || !className.startsWith(name.slice(0, -1))) continue;
+    const value = className.slice(name.length - 1);
+    const rule = buildCustomUtilityRules(selector, utilities[name], (declaration) => {
+      const parts = splitDeclaration(declaration);
+      if (!parts || /--modifier\(/.test(parts.value)) return null;
+      let unresolved = false;
+      const resolvedValue = parts.value.replace(/--value\(([^)]*)\)/g, (m, args) => {
+        const result = resolveUtilityValue(args, value, variables);
+        if (result === null) unresolved = true;
+        return result;
+      });
+      return unresolved ? null : `${parts.property}: ${resolvedValue}`;
+    });
+    if (rule) return rule;
+  }
+  return null;
+}
+
+// ------------------------------
+// VARIANT HANDLING
+// ------------------------------
+
+/**
+ * Splits a class name into its variant prefixes and the base utility.
+ * Colons inside arbitrary values (e.g. "bg-[url(https://...)]") are not treated as separators.
+ * @param {string} className - The full class name (e.g., "md:flex-row").
+ * @returns {{variants: string[], utility: string}} The variant prefixes and the base utility.
+ */
+function splitVariants(className) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < className.length; i++) {
+    const ch = className[i];
+    if (ch === '[' || ch === '(') depth++;
+    else if (ch === ']' || ch === ')') depth--;
+    else if (ch === ':' && depth === 0) {
+      parts.push(className.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(className.slice(start));
+  return { variants: parts.slice(0, -1), utility: parts[parts.length - 1] };
+}
+
+/**
+ * Pseudo-class variants and the selector suffix they append.
+ */
+const pseudoClassVariants = {
+  hover: ':hover',
+  focus: ':focus',
+  'focus-within': ':focus-within',
+  'focus-visible': ':focus-visible',
+  active: ':active',
+  visited: ':visited',
+  target: ':target',
+  first: ':first-child',
+  last: ':last-child',
+  only: ':only-child',
+  odd: ':nth-child(odd)',
+  even: ':nth-child(even)',
+  'first-of-type': ':first-of-type',
+  'last-of-type': ':last-of-type',
+  'only-of-type': ':only-of-type',
+  empty: ':empty',
+  disabled: ':disabled',
+  enabled: ':enabled',
+  checked: ':checked',
+  indeterminate: ':indeterminate',
+  default: ':default',
+  required: ':required',
+  optional: ':optional',
+  valid: ':valid',
+  invalid: ':invalid',
+  'in-range': ':in-range',
+  'out-of-range': ':out-of-range',
+  'placeholder-shown': ':placeholder-shown',
+  autofill: ':autofill',
+  'read-only': ':read-only',
+  open: '[open]',
+};
+
+/**
+ * Pseudo-element variants and the selector suffix they append.
+ */
+const pseudoElementVariants = {
+  before: '::before',
+  after: '::after',
+  placeholder: '::placeholder',
+  file: '::file-selector-button',
+  marker: '::marker',
+  selection: '::selection',
+  'first-line': '::first-line',
+  'first-letter': '::first-letter',
+  backdrop: '::backdrop',
+};
+
+/**
+ * Applies a state variant (pseudo-class, pseudo-element, group-* or peer-*) to a selector description.
+ * @param {string} variant - The variant prefix without its colon (e.g., "hover", "group-hover/item").
+ * @param {{ancestors: string[], siblings: string[], pseudoClasses: string[], pseudoElement: string}} selector -
+ *   The selector description to update.
+ * @returns {boolean} True if the variant is supported.
+ */
+function applyStateVariant(variant, selector) {
+  if (pseudoClassVariants.hasOwnProperty(variant)) {
+    selector.pseudoClasses.push(pseudoClassVariants[variant]);
+    return true;
+  }
+  if (pseudoElementVariants.hasOwnProperty(variant)) {
+    if (selector.pseudoElement) return false;
+    selector.pseudoElement = pseudoElementVariants[variant];
+    return true;
+  }
+  // group-hover, peer-checked, and their named forms (group-hover/item).
+  const match = variant.match(/^(group|peer)-([a-z-]+?)(?:\/([\w-]+))?$/);
+  if (match && pseudoClassVariants.hasOwnProperty(match[2])) {
+    const marker = match[3] ? escapeClassName(`${match[1]}/${match[3]}`) : match[1];
+    const state = pseudoClassVariants[match[2]];
+    if (match[1] === 'group') selector.ancestors.push(`.${marker}${state} `);
+    else selector.siblings.push(`.${marker}${state} ~ `);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Builds the full selector for a variant class from its selector description.
+ * @param {string} className - The full class name (e.g., "group-hover:md:flex").
+ * @param {{ancestors: string[], siblings: string[], pseudoClasses: string[], pseudoElement: string,
+ *   templates: string[]}} selector - The selector description built by applyStateVariant.
+ * @returns {string} The CSS selector (e.g., ".group:hover .group-hover\:flex").
+ */
+function buildVariantSelector(className, selector) {
+  const compound =
+    selector.ancestors.join('') +
+    selector.siblings.join('') +
+    `.${escapeClassName(className)}` +
+    selector.pseudoClasses.join('');
+  // @custom-variant templates wrap the selector ("&" is the selector so far); pseudo-elements stay last.
+  const wrapped = selector.templates.reduce((result, template) => template.replace(/&/g, result), compound);
+  return wrapped + selector.pseudoElement;
+}
+
+/**
+ * Rewrites every selector of a base utility rule to target the variant selector instead.
+ * @param {string} rule - The CSS generated for the base utility.
+ * @param {string} utility - The base utility class name (e.g., "flex-row").
+ * @param {string} selector - The selector to use in its place (e.g., ".md\:flex-row").
+ * @returns {string} The rule with its selectors renamed.
+ */
+function renameSelector(rule, utility, selector) {
+  const escapedUtility = escapeClassName(utility).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const selectorRegex = new RegExp(`\\.${escapedUtility}(?![\\w-])`, 'g');
+  return rule.replace(selectorRegex, () => selector);
+}
+
+/**
+ * Applies the dark variant according to the configured strategy.
+ * With "media" the rule is flagged for the prefers-color-scheme query; with "class"
+ * the dark selector must match an ancestor, and with "selector" the element itself or an ancestor.
+ * @param {{ancestors: string[], pseudoClasses: string[]}} selector - The selector description to update.
+ * @param {{darkMode: string, darkSelector: string}} options - The dark mode options.
+ * @returns {boolean} True if the rule belongs in the dark color-scheme media query.
+ */
+function applyDarkVariant(selector, options) {
+  if (options.darkMode !== 'media' && options.encapsulated) {
+    // View encapsulation scopes every compound selector to the component, so the dark
+    // selector (set outside it) is matched with :host-context().
+    selector.ancestors.push(`:host-context(${options.darkSelector}) `);
+    return false;
+  }
+  if (options.darkMode === 'class') {
+    selector.ancestors.push(`${options.darkSelector} `);
+    return false;
+  }
+  if (options.darkMode === 'selector') {
+    selector.pseudoClasses.push(`:where(${options.darkSelector}, ${options.darkSelector} *)`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Converts a theme breakpoint into media query conditions. Breakpoints are either a min-width
+ * string ("48rem") or an object with `min` and/or `max` widths, as in tailwind.config.js.
+ * @param {string|{min?: string, max?: string}} screenValue - The theme breakpoint value.
+ * @returns {string[]} The media query conditions.
+ */
+function getScreenConditions(screenValue) {
+  if (typeof screenValue === 'string') return [`(min-width: ${screenValue})`];
+  const conditions = [];
+  if (screenValue.min) conditions.push(`(min-width: ${screenValue.min})`);
+  if (screenValue.max) conditions.push(`(max-width: ${screenValue.max})`);
+  return conditions;
+}
+
+/**
+ * Parses an arbitrary breakpoint variant into a theme breakpoint value.
+ * @param {string} variant - The variant prefix without its colon (e.g., "min-[960px]" or "max-[59.98rem]").
+ * @returns {{min?: string, max?: string}|null} The breakpoint value, or null if it is not one.
+ */
+function parseArbitraryScreen(variant) {
+  const match = variant.match(/^(min|max)-\[(\d*\.?\d+(?:px|r?em))\]$/);
+  return match ? { [match[1]]: match[2] } : null;
+}
+
+/**
+ * Looks up the value of a breakpoint variant: a theme breakpoint or an arbitrary one.
+ * @param {string} screen - The breakpoint variant (e.g., "md" or "min-[960px]").
+ * @param {Object} screens - The theme breakpoints.
+ * @returns {string|{min?: string, max?: string}|null} The breakpoint value, or null if it is not one.
+ */
+function resolveScreen(screen, screens) {
+  return screens.hasOwnProperty(screen) ? screens[screen] : parseArbitraryScreen(screen);
+}
+
+/**
+ * Computes the mobile-first sort key of a breakpoint: max-width-only breakpoints first, widest first, as
+ * Tailwind orders its max-* variants, then the others by their min-width.
+ * @param {string|{min?: string, max?: string}|null} screenValue - The breakpoint value, null for none.
+ * @returns {number[]} The sort key: the kind of breakpoint (none, max-width only, min-width) and its width.
+ */
+function screenOrder(screenValue) {
+  const toPixels = (width) => parseFloat(width) * (/r?em$/.test(width) ? 16 : 1);
+  if (!screenValue) return [0, 0];
+  if (typeof screenValue === 'string') return [2, toPixels(screenValue)];
+  return screenValue.min ? [2, toPixels(screenValue.min)] : [1, -toPixels(screenValue.max)];
+}
+
+/**
+ * Builds the media query for a breakpoint, the dark color scheme and custom variant conditions.
+ * @param {{screen: string|null, dark: boolean, media: string[]}} resolved - The resolved class.
+ * @param {Object} screens - The theme breakpoints.
+ * @returns {string|null} The media query (e.g., "(min-width: 48rem) and (prefers-color-scheme: dark)"),
+ *   or null if the rule needs none.
+ */
+function buildMediaQuery(resolved, screens) {
+  const conditions = resolved.screen ? getScreenConditions(resolveScreen(resolved.screen, screens)) : [];
+  if (resolved.dark) conditions.push('(prefers-color-scheme: dark)');
+  return conditions.concat(resolved.media).join(' and ') || null;
+}
+
+/**
+ * Resolves a class name, including any responsive, dark, custom and state variants, into its CSS rule.
+ * Variants can be stacked (e.g., "md:dark:hover:bg-[red]"); at most one breakpoint is allowed, either a theme
+ * breakpoint or an arbitrary one (e.g., "min-[960px]:flex-row" or "max-[959.98px]:hidden").
+ * Variants and utilities declared in the project's CSS (@custom-variant, @utility) take precedence.
+ * @param {string} className - The class name to resolve (e.g., "p-4", "md:p-4" or "hover:p-4").
+ * @param {Object} options - Generation options, as returned by normalizeOptions.
+ * @returns {{screen: string|null, dark: boolean, media: string[], rule: string, order: Object}|null} The
+ *   breakpoint the rule belongs to (null for the base layer), whether it needs the dark color-scheme query,
+ *   the media conditions of custom variants, the unwrapped rule and its sort key (see ruleOrder), or null
+ *   if no rule applies.
+ */
+function resolveClass(className, options) {
+  const { theme, cssConfig } = options;
+  const { variants, utility } = splitVariants(className);
+  const selector = { ancestors: [], siblings: [], pseudoClasses: [], pseudoElement: '', templates: [] };
+  const media = [];
+  let screen = null;
+  let dark = false;
+  for (const variant of variants) {
+    if (cssConfig.customVariants.hasOwnProperty(variant)) {
+      selector.templates.push(...cssConfig.customVariants[variant].selectors);
+      media.push(...cssConfig.customVariants[variant].media);
+    } else if (resolveScreen(variant, theme.screens)) {
+      if (screen) return null;
+      screen = variant;
+    } else if (variant === 'dark') {
+      dark = applyDarkVariant(selector, options);
+    } else if (!applyStateVariant(variant, selector)) {
+      return null;
+    }
+  }
+
+  const rule = generateCustomUtilityCss(utility, cssConfig) || generateUtilityCss(utility, theme);
+  if (!rule) return null;
+  const order = ruleOrder('utilities', className, variants, rule, options);
+  if (variants.length === 0) return { screen: null, dark: false, media, rule, order };
+  return {
+    screen,
+    dark,
+    media,
+    rule: renameSelector(rule, utility, buildVariantSelector(className, selector)),
+    order,
+  };
+}
+
+// ------------------------------
+// RULE ORDERING
+// ------------------------------
+
+/**
+ * Layers in the order Tailwind emits them. The :root rule is the base layer, the semantic rules of
+ * rewrite mode are components, and everything generated from a class is a utility.
+ */
+const layers = ['base', 'components', 'utilities'];
+
+/**
+ * CSS properties in the order Tailwind emits the utilities that set them: positioning and the box
+ * model, flexbox and grid, borders, backgrounds, padding, typography, effects, filters and
+ * transitions. Shorthands come before their longhands, so "px-2" follows (and overrides) "p-4".
+ */
+const propertyOrder = [
+  'pointer-events', 'visibility', 'position',
+  'inset', 'inset-inline', 'inset-block', 'inset-inline-start', 'inset-inline-end', 'top', 'right', 'bottom', 'left',
+  'isolation', 'z-index', 'order',
+  'grid-column', 'grid-column-start', 'grid-column-end', 'grid-row', 'grid-row-start', 'grid-row-end',
+  'float', 'clear',
+  'margin', 'margin-inline', 'margin-block', 'margin-inline-start', 'margin-inline-end',
+  'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'box-sizing', 'display', '-webkit-box-orient', '-webkit-line-clamp', 'aspect-ratio',
+  'height', 'max-height', 'min-height', 'width', 'max-width', 'min-width',
+  'flex', 'flex-shrink', 'flex-grow', 'flex-basis',
+  'transform-origin', '--tw-translate-x', '--tw-translate-y', '--tw-rotate', '--tw-skew-x', '--tw-skew-y',
+  '--tw-scale-x', '--tw-scale-y', 'transform',
+  'animation', 'cursor', 'list-style-position', 'list-style-type',
+  'grid-auto-columns', 'grid-template-columns', 'grid-auto-flow', 'grid-auto-rows', 'grid-template-rows',
+  'flex-direction', 'flex-wrap', 'place-content', 'place-items', 'align-content', 'align-items',
+  'justify-content', 'justify-items', 'gap', 'column-gap', 'row-gap',
+  '--tw-space-x-reverse', '--tw-space-y-reverse', '--tw-divide-x-reverse', '--tw-divide-y-reverse',
+  'place-self', 'align-self', 'justify-self',
+  'overflow', 'overflow-x', 'overflow-y', 'text-overflow', 'white-space', 'text-wrap', 'overflow-wrap', 'word-break',
+  'border-radius', 'border-start-start-radius', 'border-start-end-radius', 'border-end-end-radius',
+  'border-end-start-radius', 'border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius',
+  'border-bottom-left-radius',
+  'border-width', 'border-inline-width', 'border-block-width', 'border-inline-start-width', 'border-inline-end-width',
+  'border-block-start-width', 'border-block-end-width', 'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+  '--tw-border-style', 'border-style', 'border-inline-style', 'border-block-style', 'border-inline-start-style',
+  'border-inline-end-style', 'border-block-start-style', 'border-block-end-style', 'border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style',
+  'border-color', 'border-inline-color', 'border-block-color', 'border-inline-start-color', 'border-inline-end-color',
+  'border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color',
+  'background-color', 'background-image',
+  '--tw-gradient-position', '--tw-gradient-stops', '--tw-gradient-from', '--tw-gradient-from-position',
+  '--tw-gradient-via', '--tw-gradient-via-position', '--tw-gradient-to', '--tw-gradient-to-position',
+  'background-size', 'background-attachment', '-webkit-background-clip', 'background-clip', 'background-position',
+  'background-repeat', 'background-origin',
+  'fill', 'stroke', 'object-fit', 'object-position',
+  'padding', 'padding-inline', 'padding-block', 'padding-inline-start', 'padding-inline-end',
+  'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'text-align', 'text-indent', 'vertical-align', 'font-family', 'font-size', 'line-height', 'font-weight',
+  'letter-spacing', 'color', 'text-transform', 'font-style',
+  'text-decoration-line', 'text-decoration-color', 'text-decoration-style', 'text-decoration-thickness',
+  'text-underline-offset', '-webkit-font-smoothing', '-moz-osx-font-smoothing', 'caret-color', 'accent-color',
+  'opacity', 'mix-blend-mode',
+  '--tw-shadow', '--tw-ring-shadow', '--tw-ring-offset-shadow', 'box-shadow', '--tw-ring-color', '--tw-ring-inset',
+  '--tw-ring-offset-width', '--tw-ring-offset-color',
+  '--tw-outline-style', 'outline', 'outline-style', 'outline-width', 'outline-offset', 'outline-color',
+  'filter', '-webkit-backdrop-filter', 'backdrop-filter',
+  'transition-property', 'transition-delay', '--tw-duration', 'transition-duration', '--tw-ease',
+  'transition-timing-function',
+];
+
+/**
+ * State variants in the order Tailwind emits them. A rule's variants are compared as a set, so a
+ * rule with a later variant, or with an extra one, comes after the rules without it. Breakpoints
+ * and the media strategy of dark mode are ordered by their @media block instead.
+ */
+const variantOrder = [
+  'group', 'peer', 'first-letter', 'first-line', 'marker', 'selection', 'file', 'placeholder', 'backdrop',
+  'before', 'after', 'first', 'last', 'only', 'odd', 'even', 'first-of-type', 'last-of-type', 'only-of-type',
+  'visited', 'target', 'open', 'default', 'checked', 'indeterminate', 'placeholder-shown', 'autofill',
+  'optional', 'required', 'valid', 'invalid', 'in-range', 'out-of-range', 'read-only', 'empty',
+  'focus-within', 'hover', 'focus', 'focus-visible', 'active', 'enabled', 'disabled', 'dark',
+];
+
+/**
+ * Compares strings by their UTF-16 code units, which unlike localeCompare does not depend on the locale.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} A negative, zero or positive number, as for Array.prototype.sort.
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compares class names with the numbers in them compared by value, so "p-2" comes before "p-10".
+ * @param {string} a - The first class name.
+ * @param {string} b - The second class name.
+ * @returns {number} A negative, zero or positive number, as for Array.prototype.sort.
+ */
+function compareClassNames(a, b) {
+  const partsA = a.match(/\d+|\D+/g) || [];
+  const partsB = b.match(/\d+|\D+/g) || [];
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    const numeric = /^\d/.test(partsA[i]) && /^\d/.test(partsB[i]);
+    const difference = numeric ? Number(partsA[i]) - Number(partsB[i]) : compareStrings(partsA[i], partsB[i]);
+    if (difference) return difference;
+  }
+  return partsA.length - partsB.length || compareStrings(a, b);
+}
+
+/**
+ * Lists the properties a rule declares, including those of nested blocks.
+ * @param {string} rule - The CSS rule.
+ * @returns {string[]} The property names, in source order.
+ */
+function ruleProperties(rule) {
+  const properties = [];
+  const collect = (body) => {
+    const { declarations, blocks } = parseBlockBody(body);
+    declarations.forEach((declaration) => {
+      const parts = splitDeclaration(declaration);
+      if (parts) properties.push(parts.property);
+    });
+    blocks.forEach((block) => collect(block.body));
+  };
+  collect(rule);
+  return properties;
+}
+
+/**
+ * Computes the sort key of a generated rule.
+ * @param {string} layer - The layer the rule belongs to ("components" or "utilities").
+ * @param {string} className - The class name the rule was generated for.
+ * @param {string[]} variants - The class name's variants (e.g., ["md", "hover"]).
+ * @param {string} rule - The CSS rule.
+ * @param {Object} options - Generation options, as returned by normalizeOptions.
+ * @returns {{layer: number, variants: number[], properties: number[], count: number, name: string}} The
+ *   layer index, the variant indices (highest first), the known property indices (lowest first), the
+ *   number of declarations and the class name.
+ */
+function ruleOrder(layer, className, variants, rule, options) {
+  const customVariants = Object.keys(options.cssConfig.customVariants);
+  const variantIndices = variants
+    .filter((variant) => !resolveScreen(variant, options.theme.screens))
+    .map((variant) => {
+      if (customVariants.includes(variant)) return variantOrder.length + customVariants.indexOf(variant);
+      const root = variant.match(/^(group|peer)-/);
+      return variantOrder.indexOf(root ? root[1] : variant);
+    });
+  const properties = ruleProperties(rule);
+  const propertyIndices = properties.map((property) => propertyOrder.indexOf(property)).filter((index) => index !== -1);
+  return {
+    layer: layers.indexOf(layer),
+    variants: Array.from(new Set(variantIndices)).sort((a, b) => b - a),
+    properties: Array.from(new Set(propertyIndices)).sort((a, b) => a - b),
+    count: properties.length,
+    name: className,
+  };
+}
+
+/**
+ * Compares the sort keys of two rules the way Tailwind orders its output: by layer, then rules without
+ * variants before those with, then by the first property they differ in (rules without known
+ * properties last), then rules with more declarations first, then by class name (see compareClassNames).
+ * @param {Object} orderA - The sort key of the first rule, from ruleOrder.
+ * @param {Object} orderB - The sort key of the second rule.
+ * @returns {number} A negative, zero or positive number, as for Array.prototype.sort.
+ */
+function compareRuleOrder(orderA, orderB) {
+  if (orderA.layer !== orderB.layer) return orderA.layer - orderB.layer;
+  // Variant sets compare like bit masks: by their highest variant, then the next one, and so on.
+  for (let i = 0; i < Math.max(orderA.variants.length, orderB.variants.length); i++) {
+    const a = i < orderA.variants.length ? orderA.variants[i] : -1;
+    const b = i < orderB.variants.length ? orderB.variants[i] : -1;
+    if (a !== b) return a - b;
+  }
+  let offset = 0;
+  while (
+    offset < orderA.properties.length &&
+    offset < orderB.properties.length &&
+    orderA.properties[offset] === orderB.properties[offset]
+  ) {
+    offset++;
+  }
+  const propertyA = offset < orderA.properties.length ? orderA.properties[offset] : Infinity;
+  const propertyB = offset < orderB.properties.length ? orderB.properties[offset] : Infinity;
+  if (propertyA !== propertyB) return propertyA < propertyB ? -1 : 1;
+  return orderB.count - orderA.count || compareClassNames(orderA.name, orderB.name);
+}
+
+// ------------------------------
+// MAIN CSS GENERATION FUNCTION
+// ------------------------------
+
+/**
+ * Generates the corresponding CSS for a given Tailwind-like class.
+ * State variants (e.g., "hover:p-4") are applied to the selector, and responsive
+ * classes (e.g., "md:p-4") are wrapped in their breakpoint's media query.
+ * @param {string} className - The class name to convert.
+ * @param {GenerateOptions} [options] - Generation options.
+ * @returns {string|null} The generated CSS (in `options.format`), or null if no rule applies.
+ * @throws {Error} If the dark mode strategy or the output format is unknown.
+ */
+function generateCssForClass(className, options = {}) {
+  const resolvedOptions = normalizeOptions(options);
+  const resolved = resolveClass(className, resolvedOptions);
+  if (!resolved) return null;
+  const ruleSet = Object.assign(buildRuleSet([resolved], resolvedOptions), { root: null });
+  return writeStylesheet(ruleSet, resolvedOptions.format);
+}
+
+// ------------------------------
+// STYLESHEET GENERATION
+// ------------------------------
+
+/**
+ * Options shared by the CSS generation functions.
+ * @typedef {Object} GenerateOptions
+ * @property {string} [darkMode] - Dark mode strategy: "media" (default), "class" or "selector".
+ * @property {string} [darkSelector] - Selector used by the "class" and "selector" strategies (default ".dark").
+ * @property {Object} [config] - A Tailwind config object whose `theme` and `theme.extend` apply over the defaults.
+ * @property {Object} [theme] - An already resolved theme; takes precedence over `config`.
+ * @property {Object} [cssConfig] - Tailwind v4 CSS configuration, as returned by parseCssConfig; its @theme
+ *   variables apply over the theme and are added to the :root rule.
+ * @property {string} [format] - Output format: "css" (default), "scss-placeholders", "scss-mixins",
+ *   "css-modules" or "json".
+ * @property {string} [spacing] - The spacing step (e.g. "4px"): numeric spacing values become multiples of
+ *   it, as with `@theme { --spacing: 4px; }`, which it overrides.
+ */
+
+/**
+ * Validates generation options, fills in their defaults and resolves the theme.
+ * @param {GenerateOptions} [options] - The options to normalize.
+ * @returns {{darkMode: string, darkSelector: string, theme: Object, cssConfig: Object, format: string}} The
+ *   normalized options.
+ * @throws {Error} If the dark mode strategy or the output format is unknown, or the spacing step is not a length.
+ */
+function normalizeOptions(options = {}) {
+  const darkMode = options.darkMode || 'media';
+  if (!darkModes.includes(darkMode)) {
+    throw new Error(`Unknown dark mode strategy: ${darkMode} (expected ${darkModes.join(', ')})`);
+  }
+  const format = options.format || 'css';
+  if (!formats.includes(format)) {
+    throw new Error(`Unknown output format: ${format} (expected ${formats.join(', ')})`);
+  }
+  let cssConfig = options.cssConfig || parseCssConfig('');
+  if (options.spacing !== undefined) {
+    if (!/^\d*\.?\d+[a-z]+$/i.test(options.spacing)) {
+      throw new Error(`Invalid spacing step: ${options.spacing} (expected a length, e.g. 0.25rem or 4px)`);
+    }
+    cssConfig = Object.assign({}, cssConfig, {
+      variables: Object.assign({}, cssConfig.variables, { '--spacing': options.spacing }),
+    });
+  }
+  return {
+    darkMode,
+    darkSelector: options.darkSelector || '.dark',
+    theme: applyCssTheme(options.theme || resolveTheme(options.config), cssConfig),
+    cssConfig,
+    format,
+  };
+}
+
+/**
+ * Computes the sort key of a media query group from one of its rules.
+ * @param {{screen: string|null, dark: boolean, media: string[]}} resolved - A rule of the group.
+ * @param {Object} screens - The theme breakpoints.
+ * @returns {Array} The sort key: dark flag, breakpoint order (see screenOrder) and custom conditions.
+ */
+function mediaOrder(resolved, screens) {
+  const screenValue = resolved.screen ? resolveScreen(resolved.screen, screens) : null;
+  return [resolved.dark ? 1 : 0, screenOrder(screenValue), resolved.media.join(' and ')];
+}
+
+/**
+ * Compares media query groups as Tailwind does: the dark color scheme after every breakpoint, each of them
+ * mobile-first, then custom variant conditions.
+ * @param {Array} orderA - The sort key of the first group, from mediaOrder.
+ * @param {Array} orderB - The sort key of the second group.
+ * @returns {number} A negative, zero or positive number, as for Array.prototype.sort.
+ */
+function compareMediaOrder(orderA, orderB) {
+  return (
+    orderA[0] - orderB[0] ||
+    orderA[1][0] - orderB[1][0] ||
+    orderA[1][1] - orderB[1][1] ||
+    compareStrings(orderA[2], orderB[2])
+  );
+}
+
+/**
+ * Builds the rule set of a stylesheet from resolved rules: the :root variables, the rules in
+ * stylesheet order and the @keyframes of the animations used. Rules are sorted with compareRuleOrder,
+ * so the output does not depend on the order the classes were found in.
+ * @param {{screen: string|null, dark: boolean, media: string[], rule: string, order: Object}[]} entries -
+ *   The resolved rules, as returned by resolveClass.
+ * @param {Object} resolvedOptions - Options already normalized with normalizeOptions.
+ * @returns {import('./writers').RuleSet} The rule set, ready for writeStylesheet.
+ */
+function buildRuleSet(entries, resolvedOptions) {
+  const { theme, cssConfig } = resolvedOptions;
+  const mediaOrders = new Map([[null, null]]);
+  const rules = entries
+    .slice()
+    .sort((a, b) => compareRuleOrder(a.order, b.order))
+    .map((resolved) => {
+      const query = buildMediaQuery(resolved, theme.screens);
+      if (!mediaOrders.has(query)) mediaOrders.set(query, mediaOrder(resolved, theme.screens));
+      const { name } = resolved.order;
+      return { name, selector: `.${escapeClassName(name)}`, query, blocks: parseRule(resolved.rule), source: resolved.rule };
+    });
+
+  // Base rules first, then one group per media query: mobile-first by breakpoint, then the dark color
+  // scheme (again mobile-first), then custom variant conditions.
+  const queries = Array.from(mediaOrders.keys()).sort((a, b) => {
+    if (!a || !b) return a ? 1 : b ? -1 : 0;
+    return compareMediaOrder(mediaOrders.get(a), mediaOrders.get(b));
+  });
+  rules.sort((a, b) => queries.indexOf(a.query) - queries.indexOf(b.query));
+
+  // The :root rule defines --spacing, the step of the theme's numeric spacing scale, followed by the
+  // project's @theme variables.
+  const rootVariables = Object.assign({ '--spacing': theme.spacing[1] || '0.25rem' }, cssConfig.variables);
+  return {
+    root: Object.keys(rootVariables).map((name) => `${name}: ${rootVariables[name]}`),
+    rules: rules.map(({ source, ...rule }) => rule),
+    keyframes: findKeyframes(rules.map((rule) => rule.source), theme),
+  };
+}
+
+/**
+ * Assembles resolved rules into a stylesheet, in the output format of the options.
+ * @param {{screen: string|null, dark: boolean, media: string[], rule: string, order: Object}[]} entries -
+ *   The resolved rules, as returned by resolveClass.
+ * @param {Object} resolvedOptions - Options already normalized with normalizeOptions.
+ * @returns {string} The stylesheet.
+ */
+function assembleStylesheet(entries, resolvedOptions) {
+  return writeStylesheet(buildRuleSet(entries, resolvedOptions), resolvedOptions.format);
+}
+
+/**
+ * Builds the stylesheet for a collection of classes.
+ * @param {Iterable<string>} classes - The class names to generate rules for.
+ * @param {GenerateOptions} [options] - Generation options.
+ * @returns {{css: string, ruleCount: number, unsupported: string[]}} The stylesheet, the number of rules
+ *   it contains and the classes no rule applies to.
+ */
+function buildStylesheet(classes, options = {}) {
+  const resolvedOptions = normalizeOptions(options);
+  const entries = [];
+  const unsupported = [];
+  for (const cls of classes) {
+    const resolved = resolveClass(cls, resolvedOptions);
+    if (resolved) entries.push(resolved);
+    else unsupported.push(cls);
+  }
+  return { css: assembleStylesheet(entries, resolvedOptions), ruleCount: entries.length, unsupported };
+}
+
+/**
+ * Generates a stylesheet for a collection of classes.
+ * @param {Iterable<string>} classes - The class names to generate rules for.
+ * @param {GenerateOptions} [options] - Generation options.
+ * @returns {string} The generated CSS.
+ * @throws {Error} If the options are invalid.
+ */
+function generateCss(classes, options = {}) {
+  return buildStylesheet(classes, options).css;
+}
+
+/**
+ * Collects the classes a project's own stylesheets define, i.e. that appear in a selector of a
+ * .scss or .css file. They are not utilities, so they are not reported as unsupported.
+ * @param {string} content - The stylesheet content.
+ * @param {Set<string>} classSet - The set to add the class names to.
+ */
+function extractDefinedClasses(content, classSet) {
+  const css = content.replace(/\/\*[\s\S]*?\*\//g, '');
+  const selectorClassRegex = /\.(-?[_a-zA-Z][\w-]*)(?=[^;{}]*\{)/g;
+  let match;
+  while ((match = selectorClassRegex.exec(css)) !== null) {
+    classSet.add(match[1]);
+  }
+}
+
+/**
+ * Finds where unsupported classes appear in the scanned files.
+ * @param {string[]} unsupported - The classes no rule applies to.
+ * @param {{file: string, content: string, classes: Set<string>}[]} scanned - Each scanned file with its
+ *   content and the classes extracted from it.
+ * @returns {Map<string, {file: string, line: number}[]>} The locations of each class, by class name in
+ *   alphabetical order; classes defined by the project's stylesheets and group/peer markers are left out.
+ */
+function locateUnsupportedClasses(unsupported, scanned) {
+  const defined = new Set();
+  scanned
+    .filter(({ file }) => /\.(?:s?css)$/.test(file))
+    .forEach(({ content }) => extractDefinedClasses(content, defined));
 
-  // -- GRID AUTO-ROWS --
-  if (className === 'auto-rows-auto') return `.auto-rows-auto { grid-auto-rows: auto; }`;
-  if (className === 'auto-rows-min') return `.auto-rows-min { grid-auto-rows: min-content; }`;
-  if (className === 'auto-rows-max') return `.auto-rows-max { grid-auto-rows: max-content; }`;
-  if (className === 'auto-rows-fr') return `.auto-rows-fr { grid-auto-rows: minmax(0, 1fr); }`;
-  match = className.match(/^auto-rows-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { grid-auto-rows: ${match[1].replace(/_/g, ' ')}; }`;
-  match = className.match(/^auto-rows-\((.+?)\)$/);
-  if (match) return `.${escapeClassName(className)} { grid-auto-rows: var(${match[1]}); }`;
+  // group and peer (and their named forms, e.g. group/item) only mark elements for group-*/peer-* variants.
+  const isMarker = (cls) => /^(?:group|peer)(?:\/[\w-]+)?$/.test(cls);
+  const report = new Map();
+  unsupported
+    .filter((cls) => !defined.has(cls) && !isMarker(cls))
+    .sort()
+    .forEach((cls) => {
+      const classRegex = new RegExp(`(?<![\\w-])${cls.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`);
+      const locations = [];
+      scanned
+        .filter(({ classes }) => classes.has(cls))
+        .forEach(({ file, content }) => {
+          content.split('\n').forEach((text, index) => {
+            if (classRegex.test(text)) locations.push({ file, line: index + 1 });
+          });
+        });
+      report.set(cls, locations);
+    });
+  return report;
+}
 
-  // -- FLEX UTILITIES --
-  if (className === 'flex') return `.flex { display: flex; }`;
-  if (className === 'flex-auto') return `.flex-auto { flex: 1 1 auto; }`;
-  if (className === 'flex-initial') return `.flex-initial { flex: 0 1 auto; }`;
-  if (className === 'flex-none') return `.flex-none { flex: none; }`;
-  match = className.match(/^flex-(\d+)$/);
-  if (match) return `.${escapeClassName(className)} { flex: ${match[1]}; }`;
-  match = className.match(/^flex-(\d+\/\d+)$/);
-  if (match) return `.${escapeClassName(className)} { flex: calc(${match[1]} * 100%); }`;
-  match = className.match(/^flex-\((.+)\)$/);
-  if (match) return `.${escapeClassName(className)} { flex: var(${match[1]}); }`;
-  match = className.match(/^flex-\[(.+?)\]$/);
-  if (match) return `.${escapeClassName(className)} { flex: ${match[1].replace(/_/g, ' ')}; }`;
+/**
+ * Reads the entry CSS files of conversion options into a parsed CSS configuration.
+ * @param {Object} options - Conversion options with an optional `cssFiles` list.
+ * @param {string} cwd - The directory the CSS files are relative to.
+ * @returns {Object} A copy of the options with `cssConfig` set when CSS files were given.
+ */
+function withCssConfig(options, cwd) {
+  const generateOptions = Object.assign({}, options);
+  if (options.cssFiles && options.cssFiles.length) {
+    const css = options.cssFiles.map((file) => fs.readFileSync(path.resolve(cwd, file), 'utf8')).join('\n');
+    generateOptions.cssConfig = parseCssConfig(css);
+  }
+  return generateOptions;
+}
 
-  // -- FLEX WRAP UTILITIES --
-  if (className === 'flex-wrap') return `.flex-wrap { flex-wrap: wrap; }`;
-  if (className === 'flex-nowrap') return `.flex-nowrap { flex-wrap: nowrap; }`;
-  if (className === 'flex-wrap-reverse') return `.flex-wrap-reverse { flex-wrap: wrap-reverse; }`;
+// ------------------------------
+// FILE DISCOVERY
+// ------------------------------
 
-  // -- MARGIN / SPACING UTILITIES --
-  const marginPrefixes = ['m', 'mx', 'my', 'ms', 'me', 'mt', 'mr', 'mb', 'ml'];
-  const marginCssProps = {
-    m: 'margin',
-    mx: 'margin-inline',
-    my: 'margin-block',
-    ms: 'margin-inline-start',
-    me: 'margin-inline-end',
-    mt: 'margin-top',
-    mr: 'margin-right',
-    mb: 'margin-bottom',
-    ml: 'margin-left',
-  };
-  for (let prefix of marginPrefixes) {
-    if (className.startsWith(prefix + '-') || className.startsWith('-' + prefix + '-')) {
-      let rule = generateMarginRule(className, prefix, marginCssProps[prefix]);
-      if (rule) return rule;
+/**
+ * Converts .gitignore rules into glob ignore patterns. Negated rules ("!keep.html") are not supported
+ * and are skipped.
+ * @param {string} content - The .gitignore content.
+ * @returns {string[]} The ignore patterns, relative to the .gitignore's directory.
+ */
+function gitignorePatterns(content) {
+  const patterns = [];
+  content.split(/\r?\n/).forEach((line) => {
+    let rule = line.trim();
+    if (!rule || rule.startsWith('#') || rule.startsWith('!')) return;
+    const directoryOnly = rule.endsWith('/');
+    rule = rule.replace(/\/+$/, '');
+    // A rule with a slash other than a trailing one is anchored to the .gitignore's directory.
+    const base = rule.includes('/') ? rule.replace(/^\//, '') : `**/${rule}`;
+    patterns.push(`${base}/**`);
+    if (!directoryOnly) patterns.push(base);
+  });
+  return patterns;
+}
+
+/**
+ * Lists the files matching glob patterns, leaving out node_modules, the rules of the .gitignore in
+ * cwd and any explicit ignore patterns.
+ * @param {string} cwd - The directory patterns are resolved against.
+ * @param {string|string[]} patterns - The glob patterns of the files to list.
+ * @param {{ignore?: string[], gitignore?: boolean}} [options] - Extra ignore patterns, and whether
+ *   to apply .gitignore (default true).
+ * @returns {string[]} The matching files, relative to cwd.
+ */
+function findFiles(cwd, patterns, options = {}) {
+  const ignore = defaultIgnore.concat(options.ignore || []);
+  const gitignorePath = path.resolve(cwd, '.gitignore');
+  if (options.gitignore !== false && fs.existsSync(gitignorePath)) {
+    ignore.push(...gitignorePatterns(fs.readFileSync(gitignorePath, 'utf8')));
+  }
+  // Sorted, with forward slashes, so files (and the classes found in them) come in the same order on every system.
+  return globSync(patterns, { cwd, ignore, windowsPathsNoEscape: true, posix: true }).sort(compareStrings);
+}
+
+/**
+ * Reads a file and extracts its classes.
+ * @param {string} cwd - The directory the file is relative to.
+ * @param {string} file - The file path.
+ * @param {{extractors?: Object<string, Function[]|null>, theme?: Object}} scanOptions - Project extractors
+ *   and the resolved theme, see extractClasses.
+ * @returns {{file: string, content: string, classes: Set<string>}} The file, its content and its classes.
+ * @throws {Error} If the file cannot be read.
+ */
+function scanFile(cwd, file, scanOptions) {
+  const content = fs.readFileSync(path.resolve(cwd, file), 'utf8');
+  return { file, content, classes: extractClasses(content, Object.assign({ filename: file }, scanOptions)) };
+}
+
+/**
+ * Scans files matching the given patterns and generates the stylesheet for every class they use.
+ * Nothing is shared between calls; the output file is only written when `output` is given.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.cwd] - The directory patterns are resolved against (defaults to process.cwd()).
+ * @param {string|string[]} [options.patterns] - Glob patterns of the files to scan (defaults to every
+ *   file type with extractors).
+ * @param {string[]} [options.ignore] - Glob patterns of files to skip, in addition to node_modules.
+ * @param {boolean} [options.gitignore] - Skip the files the .gitignore in cwd ignores (default true).
+ * @param {Object<string, Function[]|null>} [options.extractors] - Project extractors by file extension,
+ *   see extractClasses.
+ * @param {string} [options.output] - Path of the CSS file to write, relative to cwd.
+ * @param {string} [options.darkMode] - Dark mode strategy, see GenerateOptions.
+ * @param {string} [options.darkSelector] - Dark mode selector, see GenerateOptions.
+ * @param {Object} [options.config] - Tailwind config object, see GenerateOptions.
+ * @param {string[]} [options.cssFiles] - Entry CSS files (relative to cwd) to read @theme, @utility and
+ *   @custom-variant blocks from.
+ * @param {string} [options.format] - Output format of `css` and the output file, see GenerateOptions.
+ * @returns {{files: string[], classes: Set<string>, css: string, ruleCount: number,
+ *   unsupported: Map<string, {file: string, line: number}[]>, errors: {file: string, error: Error}[]}}
+ *   The scanned files, the extracted classes, the generated CSS, the number of rules, where each class
+ *   without a rule appears (classes defined by the project's stylesheets excepted) and any files that
+ *   could not be read.
+ * @throws {Error} If the options are invalid.
+ */
+function convert(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const patterns = options.patterns || filePattern(Object.keys(resolveExtractors(options.extractors)));
+  const generateOptions = withCssConfig(options, cwd);
+  const scanOptions = { extractors: options.extractors, theme: normalizeOptions(generateOptions).theme };
+  const files = findFiles(cwd, patterns, options);
+
+  const classes = new Set();
+  const scanned = [];
+  const errors = [];
+  files.forEach((file) => {
+    try {
+      const entry = scanFile(cwd, file, scanOptions);
+      entry.classes.forEach((cls) => classes.add(cls));
+      scanned.push(entry);
+    } catch (error) {
+      errors.push({ file, error });
     }
+  });
+
+  const { css, ruleCount, unsupported } = buildStylesheet(classes, generateOptions);
+  if (options.output) {
+    fs.writeFileSync(path.resolve(cwd, options.output), css, 'utf8');
   }
+  return { files, classes, css, ruleCount, unsupported: locateUnsupportedClasses(unsupported, scanned), errors };
+}
+
+// ------------------------------
+// WATCH MODE
+// ------------------------------
+
+/**
+ * Converts like convert(), then keeps watching the matched files and regenerates the stylesheet
+ * incrementally: only changed, added and removed files are scanned again, and classes no file uses
+ * any longer drop out. The output file is only rewritten when the generated CSS changes.
+ * @param {Object} [options] - The conversion options of convert(), plus:
+ * @param {boolean|number} [options.poll] - Poll for changes instead of using fs.watch (every `poll`
+ *   milliseconds if a number); polling is also used where recursive fs.watch is not supported.
+ * @param {function(Object): void} [options.onUpdate] - Called after each regeneration with the
+ *   `changed`, `added` and `removed` files, whether the output was `written`, the `writeError` that kept
+ *   it from being written (null otherwise; the next update tries again), and the fields of convert()'s result.
+ * @returns {Object} The result of the initial conversion (see convert()) with `written`, plus
+ *   `mode` ("fs.watch" or "poll") and a `close()` function that stops watching.
+ * @throws {Error} If the options are invalid or the output file cannot be written at first.
+ */
+function watch(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const patterns = [].concat(options.patterns || filePattern(Object.keys(resolveExtractors(options.extractors))));
+  const generateOptions = withCssConfig(options, cwd);
+  const scanOptions = { extractors: options.extractors, theme: normalizeOptions(generateOptions).theme };
+  const listFiles = () => findFiles(cwd, patterns, options);
+  const scanned = new Map();
+  let errors = [];
+  let previousCss = null;
 
-  // -- PADDING UTILITIES --
-  const paddingPrefixes = ['p', 'px', 'py', 'ps', 'pe', 'pt', 'pr', 'pb', 'pl'];
-  const paddingCssProps = {
-    p: 'padding',
-    px: 'padding-inline',
-    py: 'padding-block',
-    ps: 'padding-inline-start',
-    pe: 'padding-inline-end',
-    pt: 'padding-top',
-    pr: 'padding-right',
-    pb: 'padding-bottom',
-    pl: 'padding-left',
+  const scan = (file) => {
+    try {
+      scanned.set(file, scanFile(cwd, file, scanOptions));
+    } catch (error) {
+      scanned.delete(file);
+      errors.push({ file, error });
+    }
   };
-  for (let prefix of paddingPrefixes) {
-    if (className.startsWith(prefix + '-') || className.startsWith('-' + prefix + '-')) {
-      let rule = generatePaddingRule(className, prefix, paddingCssProps[prefix]);
-      if (rule) return rule;
+  const regenerate = () => {
+    const classes = new Set();
+    scanned.forEach((entry) => entry.classes.forEach((cls) => classes.add(cls)));
+    const { css, ruleCount, unsupported } = buildStylesheet(classes, generateOptions);
+    let written = css !== previousCss;
+    let writeError = null;
+    if (written && options.output) {
+      try {
+        fs.writeFileSync(path.resolve(cwd, options.output), css, 'utf8');
+      } catch (error) {
+        written = false;
+        writeError = error;
+      }
+    }
+    if (!writeError) previousCss = css;
+    const files = Array.from(scanned.keys());
+    const located = locateUnsupportedClasses(unsupported, Array.from(scanned.values()));
+    return { files, classes, css, ruleCount, unsupported: located, errors, written, writeError };
+  };
+
+  listFiles().forEach(scan);
+  const result = regenerate();
+  // The first write fails like convert()'s; later ones are reported to onUpdate and watching goes on.
+  if (result.writeError) throw result.writeError;
+
+  const watcher = createWatcher({ cwd, patterns, listFiles, poll: options.poll }, (paths) => {
+    const current = new Set(listFiles());
+    const changed = paths.filter((file) => current.has(file) && scanned.has(file));
+    const added = Array.from(current).filter((file) => !scanned.has(file));
+    const removed = Array.from(scanned.keys()).filter((file) => !current.has(file));
+    if (!changed.length && !added.length && !removed.length) return;
+
+    errors = [];
+    changed.concat(added).forEach(scan);
+    removed.forEach((file) => scanned.delete(file));
+    const update = regenerate();
+    if (options.onUpdate) options.onUpdate(Object.assign({ changed, added, removed }, update));
+  });
+  return Object.assign(result, { mode: watcher.mode, close: watcher.close });
+}
+
+// ------------------------------
+// SEMANTIC CLASS REWRITING
+// ------------------------------
+
+/**
+ * Resolves a class list and merges its declarations per media query and selector, with the classes'
+ * selectors renamed to a common one. When two classes set the same property, the one whose rule comes later
+ * in the stylesheet wins, as it would on an element with both classes.
+ * @param {string[]} classes - The utility classes to combine.
+ * @param {string} selector - The selector that replaces each class's own (e.g., ".card" or "&").
+ * @param {Object} resolvedOptions - Options already normalized with normalizeOptions.
+ * @returns {{resolved: Object, query: string|null, rules: string[], selectors: Map<string, Map<string, string>>}[]}
+ *   One group per media query: a class resolved into it (for its breakpoint and conditions), the query,
+ *   the renamed rules and the declarations of each selector, keyed by property. The base group, if any,
+ *   comes first and the others follow in stylesheet order.
+ */
+function combineClassRules(classes, selector, resolvedOptions) {
+  const { theme } = resolvedOptions;
+  const groups = new Map();
+  // Merge in stylesheet order, so a longhand (e.g. "px-2") overrides its shorthand ("p-4") as it would in the CSS.
+  const resolvedClasses = classes
+    .map((cls) => ({ cls, resolved: resolveClass(cls, resolvedOptions) }))
+    .filter(({ resolved }) => resolved)
+    .sort((a, b) => compareRuleOrder(a.resolved.order, b.resolved.order));
+  resolvedClasses.forEach(({ cls, resolved }) => {
+    const query = buildMediaQuery(resolved, theme.screens);
+    if (!groups.has(query)) groups.set(query, { resolved, query, rules: [], selectors: new Map() });
+    const group = groups.get(query);
+    const rule = renameSelector(resolved.rule, cls, selector);
+    group.rules.push(rule);
+    parseBlockBody(rule).blocks.forEach((block) => {
+      if (!group.selectors.has(block.prelude)) group.selectors.set(block.prelude, new Map());
+      const declarations = group.selectors.get(block.prelude);
+      parseBlockBody(block.body).declarations.forEach((declaration) => {
+        const { property } = splitDeclaration(declaration);
+        declarations.delete(property);
+        declarations.set(property, declaration);
+      });
+    });
+  });
+  return Array.from(groups.values()).sort((a, b) => {
+    if (!a.query || !b.query) return a.query ? 1 : b.query ? -1 : 0;
+    return compareMediaOrder(mediaOrder(a.resolved, theme.screens), mediaOrder(b.resolved, theme.screens));
+  });
+}
+
+/**
+ * Combines the rules of a class list into rules for one semantic class name: one rule per selector
+ * (e.g. ".card" and ".card:hover") and media query.
+ * @param {string} name - The semantic class name.
+ * @param {string[]} classes - The utility classes the name replaces.
+ * @param {Object} resolvedOptions - Options already normalized with normalizeOptions.
+ * @returns {{screen: string|null, dark: boolean, media: string[], rule: string, order: Object}[]} One entry per media
+ *   query (the first for the base rules), in the shape returned by resolveClass.
+ */
+function composeSemanticRules(name, classes, resolvedOptions) {
+  return combineClassRules(classes, `.${escapeClassName(name)}`, resolvedOptions).map(({ resolved, selectors }) => {
+    const rule = Array.from(selectors.keys())
+      .map((selector) => formatRule(selector, Array.from(selectors.get(selector).values())))
+      .join('\n');
+    return {
+      screen: resolved.screen,
+      dark: resolved.dark,
+      media: resolved.media,
+      rule,
+      order: ruleOrder('components', name, [], rule, resolvedOptions),
+    };
+  });
+}
+
+/**
+ * Expands the classes of an @apply directive into declarations for its parent selector ("&").
+ * @param {string[]} classes - The applied classes.
+ * @param {Object} resolvedOptions - Options already normalized with normalizeOptions.
+ * @param {string[]} rules - Collects the generated rules, to find the @keyframes they need.
+ * @returns {{groups: {query: string|null, rules: {selector: string, declarations: string[]}[]}[],
+ *   unresolved: string[]}} The declarations per media query and selector, and the classes without a rule.
+ */
+function expandApplyClasses(classes, resolvedOptions, rules) {
+  const groups = combineClassRules(classes, '&', resolvedOptions).map((group) => {
+    rules.push(...group.rules);
+    return {
+      query: group.query,
+      rules: Array.from(group.selectors.keys()).map((selector) => ({
+        selector,
+        declarations: Array.from(group.selectors.get(selector).values()),
+      })),
+    };
+  });
+  const unresolved = classes.filter((cls) => !resolveClass(cls, resolvedOptions));
+  return { groups, unresolved };
+}
+
+/**
+ * Rewrites project files so they no longer depend on utility classes: the class lists of HTML and TS
+ * templates become semantic class names with one combined rule per name, and @apply directives in
+ * SCSS files can be inlined into real declarations. Classes the generator cannot convert stay as they
+ * are, and utilities still used elsewhere keep their own rules.
+ * @param {Object} [options] - Rewrite options, plus the conversion options of convert().
+ * @param {boolean} [options.classLists] - Rewrite template class lists (default true).
+ * @param {boolean} [options.inlineApply] - Inline the @apply directives of .scss files (default false);
+ *   the @keyframes of inlined animations are appended to the file.
+ * @param {boolean} [options.flexLayout] - Replace the Angular Flex Layout directives of HTML and TS
+ *   templates with the classes they translate to (default false), before class lists are rewritten.
+ * @param {string} [options.naming] - Naming strategy: "element" (default, "<component>-<tag>") or "hash".
+ * @param {string} [options.outDir] - Directory (relative to cwd) to write rewritten files to, mirroring
+ *   their paths; files are rewritten in place when omitted.
+ * @param {boolean} [options.dryRun] - Compute the changes and the CSS without writing any file; each change
+ *   then comes with a unified diff.
+ * @returns {{files: string[], changes: {file: string, before: string, after: string, diff: string}[],
+ *   names: Map<string, string[]>, applyCount: number, flexLayoutCount: number,
+ *   flexLayoutSkipped: {file: string, line: number, name: string}[], css: string, ruleCount: number,
+ *   unsupported: Map<string, {file: string, line: number}[]>, errors: {file: string, error: Error}[]}}
+ *   The scanned files, the rewritten files (with a unified diff each in a dry run, "" otherwise), the class
+ *   list of every name, the number of @apply directives inlined, the number of Flex Layout directives
+ *   replaced and those that could not be, the generated CSS, the number of rules, the classes left without
+ *   a rule (see convert()) and any files that could not be read.
+ * @throws {Error} If the options are invalid.
+ */
+function rewrite(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const patterns = options.patterns || filePattern(Object.keys(resolveExtractors(options.extractors)));
+  const resolvedOptions = normalizeOptions(withCssConfig(options, cwd));
+  const isConvertible = (cls) => resolveClass(cls, resolvedOptions) !== null;
+  const scanOptions = { extractors: options.extractors, theme: resolvedOptions.theme };
+  const files = findFiles(cwd, patterns, options);
+
+  // Every file is read before any is rewritten, so no semantic name is one the project already uses or defines.
+  const sources = [];
+  const errors = [];
+  const projectClasses = new Set();
+  files.forEach((file) => {
+    try {
+      const entry = scanFile(cwd, file, scanOptions);
+      entry.classes.forEach((cls) => projectClasses.add(cls));
+      if (/\.s?css$/.test(file)) extractDefinedClasses(entry.content, projectClasses);
+      sources.push(entry);
+    } catch (error) {
+      errors.push({ file, error });
+    }
+  });
+  const namer = createNamer(options.naming, (name) => projectClasses.has(name) || isConvertible(name));
+
+  const changes = [];
+  const remainingClasses = new Set();
+  const scanned = [];
+  let applyCount = 0;
+  let flexLayoutCount = 0;
+  const flexLayoutSkipped = [];
+  sources.forEach(({ file, content: before }) => {
+    let after = before;
+    if (options.flexLayout && /\.(?:html|ts)$/.test(file)) {
+      const migrated = migrateFlexLayout(before, resolvedOptions.theme);
+      after = migrated.content;
+      flexLayoutCount += migrated.count;
+      migrated.skipped.forEach(({ name, line }) => flexLayoutSkipped.push({ file, line, name }));
+    }
+    if (options.classLists !== false && /\.(?:html|ts)$/.test(file)) {
+      after = rewriteTemplate(after, { filename: file, isConvertible, namer });
+    } else if (options.inlineApply && path.extname(file) === '.scss') {
+      const rules = [];
+      const expand = (classes) => expandApplyClasses(classes, resolvedOptions, rules);
+      const inlined = inlineApplyDirectives(before, { expand });
+      const keyframes = generateKeyframes(rules, resolvedOptions.theme);
+      after = inlined.content + (keyframes.length ? '\n' + keyframes.join('\n\n') + '\n' : '');
+      applyCount += inlined.count;
+    }
+    const fileClasses = extractClasses(after, Object.assign({ filename: file }, scanOptions));
+    fileClasses.forEach((cls) => remainingClasses.add(cls));
+    // Unsupported classes are located in the file as it is on disk, not as rewritten.
+    scanned.push({ file, content: before, classes: fileClasses });
+    if (after !== before) {
+      changes.push({ file, before, after, diff: options.dryRun ? createDiff(file, before, after) : '' });
     }
+  });
+
+  const entries = [];
+  namer.names.forEach((classes, name) => entries.push(...composeSemanticRules(name, classes, resolvedOptions)));
+  let ruleCount = namer.names.size;
+  const unsupported = [];
+  remainingClasses.forEach((cls) => {
+    if (namer.names.has(cls)) return;
+    const resolved = resolveClass(cls, resolvedOptions);
+    if (!resolved) {
+      unsupported.push(cls);
+      return;
+    }
+    entries.push(resolved);
+    ruleCount++;
+  });
+  const css = assembleStylesheet(entries, resolvedOptions);
+
+  if (!options.dryRun) {
+    changes.forEach(({ file, after }) => {
+      const target = path.resolve(cwd, options.outDir || '', file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, after, 'utf8');
+    });
+    if (options.output) fs.writeFileSync(path.resolve(cwd, options.output), css, 'utf8');
   }
+  return {
+    files,
+    changes,
+    names: namer.names,
+    applyCount,
+    flexLayoutCount,
+    flexLayoutSkipped,
+    css,
+    ruleCount,
+    unsupported: locateUnsupportedClasses(unsupported, scanned),
+    errors,
+  };
+}
 
-  // -- SPACE UTILITIES --
-  if (className.startsWith('space-x-')) {
-    let rule = generateSpaceRule(className, 'x');
-    if (rule) return rule;
+// ------------------------------
+// COMPONENT STYLESHEETS
+// ------------------------------
+
+/**
+ * Removes the generated region from a stylesheet, with the blank lines around it.
+ * @param {string} content - The stylesheet content.
+ * @returns {string} The content without the region.
+ */
+function stripGeneratedRegion(content) {
+  const start = content.indexOf(generatedRegionStart);
+  const end = content.indexOf(generatedRegionEnd, start);
+  if (start === -1 || end === -1) return content;
+  const before = content.slice(0, start).replace(/\s*$/, '');
+  const after = content.slice(end + generatedRegionEnd.length).replace(/^\s*/, '');
+  if (!before) return after;
+  return after ? `${before}\n\n${after}` : `${before}\n`;
+}
+
+/**
+ * Replaces the generated region of a stylesheet, appending it when there is none.
+ * @param {string} content - The stylesheet content ("" for a new file).
+ * @param {string} css - The generated CSS; the region is removed when empty.
+ * @returns {string} The updated content.
+ */
+function mergeGeneratedRegion(content, css) {
+  const region = `${generatedRegionStart}\n${css}\n${generatedRegionEnd}\n`;
+  const start = content.indexOf(generatedRegionStart);
+  const end = content.indexOf(generatedRegionEnd, start);
+  if (start !== -1 && end !== -1) {
+    if (!css) return stripGeneratedRegion(content);
+    return content.slice(0, start) + region + content.slice(end + generatedRegionEnd.length).replace(/^\n/, '');
   }
-  if (className.startsWith('space-y-')) {
-    let rule = generateSpaceRule(className, 'y');
-    if (rule) return rule;
+  if (!css) return content;
+  const rest = content.replace(/\s*$/, '');
+  return rest ? `${rest}\n\n${region}` : region;
+}
+
+/**
+ * Pairs the Angular components among scanned files with their templates and stylesheets.
+ * @param {string} cwd - The directory the files are relative to.
+ * @param {{file: string, content: string, classes: Set<string>}[]} scanned - The scanned files.
+ * @param {{extractors?: Object<string, Function[]|null>, theme?: Object}} scanOptions - Project extractors
+ *   and the resolved theme, see extractClasses.
+ * @param {{file: string, error: Error}[]} errors - Collects the templates that could not be read.
+ * @returns {{file: string, template: string|null, styleUrls: string[], encapsulation: string|null,
+ *   classes: Set<string>, owned: string[]}[]} One entry per component: its file, template, stylesheets
+ *   (relative to cwd), view encapsulation, the classes of the component file and its template, and every
+ *   file that belongs to it.
+ */
+function findComponents(cwd, scanned, scanOptions, errors) {
+  const byFile = new Map(scanned.map((entry) => [entry.file, entry]));
+  const components = [];
+  scanned.forEach((entry) => {
+    if (path.extname(entry.file) !== '.ts') return;
+    const metadata = parseComponentMetadata(entry.content);
+    if (!metadata) return;
+    const directory = path.posix.dirname(entry.file);
+    const template = metadata.templateUrl ? path.posix.join(directory, metadata.templateUrl) : null;
+    const classes = new Set(entry.classes);
+    if (template) {
+      try {
+        // The template may not match the scanned patterns (e.g. with --extensions=ts).
+        const templateEntry = byFile.get(template) || scanFile(cwd, template, scanOptions);
+        templateEntry.classes.forEach((cls) => classes.add(cls));
+      } catch (error) {
+        errors.push({ file: template, error });
+      }
+    }
+    const styleUrls = metadata.styleUrls.map((styleUrl) => path.posix.join(directory, styleUrl));
+    components.push({
+      file: entry.file,
+      template,
+      styleUrls,
+      encapsulation: metadata.encapsulation,
+      classes,
+      owned: [entry.file, template, ...styleUrls].filter(Boolean),
+    });
+  });
+  return components;
+}
+
+/**
+ * Writes the rules of each Angular component's classes into its own stylesheet, instead of one global
+ * stylesheet. Classes used by many components, and the classes of files that belong to no component,
+ * go into a shared stylesheet along with the :root variables.
+ *
+ * A component's stylesheet is the first of its `styleUrl`/`styleUrls`; the rules are merged into it
+ * between marker comments, so later runs replace them and leave the rest of the file alone. A component
+ * without one gets a sibling `<name>.component.css` (or `.scss`), which is added to its `styleUrls`.
+ * Dark mode class selectors are matched with :host-context(), unless the component turns off view
+ * encapsulation. The SCSS output formats are written to .scss component stylesheets (new ones are .scss by
+ * default then), and plain CSS to .css ones.
+ * @param {Object} [options] - Conversion options, as for convert().
+ * @param {number} [options.sharedThreshold] - How many components must use a class for it to be shared
+ *   (default 3).
+ * @param {string} [options.componentStyle] - Extension of new component stylesheets: "css" or "scss" (the
+ *   default with an SCSS output format, "css" otherwise).
+ * @param {boolean} [options.dryRun] - Compute the changes and the CSS without writing any file; each change
+ *   then comes with a unified diff.
+ * @returns {{files: string[], components: {file: string, stylesheet: string|null, classes: string[]}[],
+ *   shared: Set<string>, changes: {file: string, before: string, after: string, diff: string}[], css: string,
+ *   ruleCount: number, unsupported: Map<string, {file: string, line: number}[]>,
+ *   errors: {file: string, error: Error}[]}} The scanned files, every component with its stylesheet (null
+ *   if it needs none) and its own classes, the shared classes, the changed files (with a unified diff each
+ *   in a dry run), the shared stylesheet, the number of rules written, the classes left without a rule (see
+ *   convert()) and any files that could not be read.
+ * @throws {Error} If the options are invalid, or the output format is one component stylesheets cannot hold.
+ */
+function splitByComponent(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const patterns = options.patterns || filePattern(Object.keys(resolveExtractors(options.extractors)));
+  const threshold = options.sharedThreshold === undefined ? defaultSharedThreshold : Number(options.sharedThreshold);
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    throw new Error(`Invalid shared threshold: ${options.sharedThreshold} (expected a whole number of at least 1)`);
+  }
+  const resolvedOptions = normalizeOptions(withCssConfig(options, cwd));
+  if (!componentFormats.includes(resolvedOptions.format)) {
+    const expected = componentFormats.join(', ');
+    throw new Error(`Component stylesheets cannot be written as ${resolvedOptions.format} (expected ${expected})`);
   }
-  if (className === 'space-x-reverse') return `.space-x-reverse { --tw-space-x-reverse: 1; }`;
-  if (className === 'space-y-reverse') return `.space-y-reverse { --tw-space-y-reverse: 1; }`;
+  const scssFormat = resolvedOptions.format.startsWith('scss-');
+  const componentStyle = options.componentStyle || (scssFormat ? 'scss' : 'css');
+  if (!componentStyleExtensions.includes(componentStyle)) {
+    const expected = componentStyleExtensions.join(', ');
+    throw new Error(`Unknown component stylesheet type: ${componentStyle} (expected ${expected})`);
+  }
+  const scanOptions = { extractors: options.extractors, theme: resolvedOptions.theme };
+  const files = findFiles(cwd, patterns, options);
 
-  // -- OTHER PREVIOUSLY SUPPORTED CLASSES --
-  if (className === 'flex-row') return `.flex-row { flex-direction: row; }`;
-  if (className === 'flex-col') return `.flex-col { flex-direction: column; }`;
-  if (className === 'box-border') return `.box-border { box-sizing: border-box; }`;
-  if (className === 'h-full') return `.h-full { height: 100%; }`;
-  if (className === 'min-w-full') return `.min-w-full { min-width: 100%; }`;
-  if (className === 'min-h-full') return `.min-h-full { min-height: 100%; }`;
+  // Generated regions are left out, so rules written by an earlier run do not count as uses.
+  const scanned = [];
+  const errors = [];
+  files.forEach((file) => {
+    try {
+      const content = stripGeneratedRegion(fs.readFileSync(path.resolve(cwd, file), 'utf8'));
+      const classes = extractClasses(content, Object.assign({ filename: file }, scanOptions));
+      scanned.push({ file, content, classes });
+    } catch (error) {
+      errors.push({ file, error });
+    }
+  });
+  const components = findComponents(cwd, scanned, scanOptions, errors);
 
-  // -- JUSTIFY, ALIGN & SELF UTILITIES --
-  const justifyMapping = {
-    'justify-start': 'flex-start',
-    'justify-end': 'flex-end',
-    'justify-center': 'center',
-    'justify-between': 'space-between',
-    'justify-around': 'space-around',
-    'justify-evenly': 'space-evenly',
-    'justify-stretch': 'stretch',
-    'justify-baseline': 'baseline',
-    'justify-normal': 'normal',
-  };
-  if (justifyMapping[className])
-    return `.${className} { justify-content: ${justifyMapping[className]}; }`;
+  // Shared: classes used by at least `threshold` components, or by a file no component owns.
+  const owned = new Set();
+  const useCounts = new Map();
+  components.forEach((component) => {
+    component.owned.forEach((file) => owned.add(file));
+    component.classes.forEach((cls) => useCounts.set(cls, (useCounts.get(cls) || 0) + 1));
+  });
+  const shared = new Set();
+  useCounts.forEach((count, cls) => {
+    if (count >= threshold) shared.add(cls);
+  });
+  scanned.forEach((entry) => {
+    if (!owned.has(entry.file)) entry.classes.forEach((cls) => shared.add(cls));
+  });
 
-  const itemsMapping = {
-    'items-start': 'flex-start',
-    'items-end': 'flex-end',
-    'items-center': 'center',
-    'items-baseline': 'baseline',
-    'items-stretch': 'stretch',
-  };
-  if (itemsMapping[className])
-    return `.${className} { align-items: ${itemsMapping[className]}; }`;
+  const unsupported = new Set();
+  const resolveAll = (classes, generateOptions) =>
+    Array.from(classes).reduce((entries, cls) => {
+      const resolved = resolveClass(cls, generateOptions);
+      if (resolved) entries.push(resolved);
+      else unsupported.add(cls);
+      return entries;
+    }, []);
 
-  const selfMapping = {
-    'self-auto': 'auto',
-    'self-start': 'flex-start',
-    'self-end': 'flex-end',
-    'self-center': 'center',
-    'self-stretch': 'stretch',
-    'self-baseline': 'baseline',
+  const changes = [];
+  const change = (file, before, after) => {
+    if (after !== before) changes.push({ file, before, after, diff: options.dryRun ? createDiff(file, before, after) : '' });
   };
-  if (selfMapping[className])
-    return `.${className} { align-self: ${selfMapping[className]}; }`;
+  let ruleCount = 0;
+  const results = components.map((component) => {
+    const own = Array.from(component.classes).filter((cls) => !shared.has(cls));
+    const generateOptions = Object.assign({}, resolvedOptions, { encapsulated: component.encapsulation !== 'None' });
+    const entries = resolveAll(own, generateOptions);
+    ruleCount += entries.length;
+    // The :root variables are global, so they stay in the shared stylesheet.
+    const ruleSet = Object.assign(buildRuleSet(entries, generateOptions), { root: null });
 
-  // -- WIDTH, HEIGHT, BACKGROUND, GAP, etc. --
-  if (className === 'w-full') return `.w-full { width: 100%; }`;
-  match = className.match(/^w-\[(.+?)\]$/);
-  if (match)
-    return `.${escapeClassName(className)} { width: ${match[1].replace(/_/g, ' ')}; }`;
-
-  match = className.match(/^h-\[(.+?)\]$/);
-  if (match)
-    return `.${escapeClassName(className)} { height: ${match[1].replace(/_/g, ' ')}; }`;
-
-  match = className.match(/^max-w-\[(.+?)\]$/);
-  if (match)
-    return `.${escapeClassName(className)} { max-width: ${match[1].replace(/_/g, ' ')}; }`;
-
-  match = className.match(/^max-h-\[(.+?)\]$/);
-  if (match)
-    return `.${escapeClassName(className)} { max-height: ${match[1].replace(/_/g, ' ')}; }`;
-
-  match = className.match(/^bg-\[(.+?)\]$/);
-  if (match)
-    return `.${escapeClassName(className)} { background-color: ${match[1].replace(/_/g, ' ')}; }`;
-  const bgColorMap = {
-    'bg-red-500': '#f56565',
-    'bg-blue-500': '#4299e1',
-    'bg-green-500': '#48bb78',
-    'bg-yellow-500': '#ecc94b',
-  };
-  if (bgColorMap[className])
-    return `.${className} { background-color: ${bgColorMap[className]}; }`;
-
-  match = className.match(/^gap-\[(.+?)\]$/);
-  if (match)
-    return `.${escapeClassName(className)} { gap: ${match[1].replace(/_/g, ' ')}; }`;
-  const gapMapping = {
-    'gap-0': '0px',
-    'gap-1': '0.25rem',
-    'gap-2': '0.5rem',
-    'gap-3': '0.75rem',
-    'gap-4': '1rem',
-    'gap-5': '1.25rem',
-    'gap-6': '1.5rem',
-    'gap-7': '1.75rem',
-    'gap-8': '2rem',
-    'gap-9': '2.25rem',
-    'gap-10': '2.5rem',
-  };
-  if (gapMapping[className])
-    return `.${className} { gap: ${gapMapping[className]}; }`;
+    let stylesheet = component.styleUrls[0] || null;
+    if (!stylesheet && entries.length) {
+      stylesheet = component.file.replace(/\.ts$/, `.${componentStyle}`);
+      const before = fs.readFileSync(path.resolve(cwd, component.file), 'utf8');
+      change(component.file, before, addStyleUrl(before, `./${path.posix.basename(stylesheet)}`));
+    }
+    if (stylesheet) {
+      const format = scssFormat && path.extname(stylesheet) === '.scss' ? resolvedOptions.format : 'css';
+      const css = entries.length ? writeStylesheet(ruleSet, format) : '';
+      const target = path.resolve(cwd, stylesheet);
+      const before = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+      change(stylesheet, before, mergeGeneratedRegion(before, css));
+    }
+    return { file: component.file, stylesheet, classes: own };
+  });
 
-  return null;
+  const sharedEntries = resolveAll(shared, resolvedOptions);
+  ruleCount += sharedEntries.length;
+  const css = assembleStylesheet(sharedEntries, resolvedOptions);
+
+  if (!options.dryRun) {
+    changes.forEach(({ file, after }) => fs.writeFileSync(path.resolve(cwd, file), after, 'utf8'));
+    if (options.output) fs.writeFileSync(path.resolve(cwd, options.output), css, 'utf8');
+  }
+  return {
+    files,
+    components: results,
+    shared,
+    changes,
+    css,
+    ruleCount,
+    unsupported: locateUnsupportedClasses(Array.from(unsupported), scanned),
+    errors,
+  };
 }
 
 // ------------------------------
 // MAIN PROCESS
 // ------------------------------
 
+/**
+ * Parses command-line arguments: up to two positional arguments and "--name=value" options.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {{targetDir: string|undefined, outputCssFile: string|undefined, darkMode: string, darkSelector: string,
+ *   configFile: string|undefined, cssFiles: string[], rewrite: boolean, inlineApply: boolean, flexLayout: boolean,
+ *   naming: string, outDir: string|undefined, dryRun: boolean, report: string|undefined,
+ *   strict: boolean, watch: boolean, poll: boolean, extensions: string[], content: string[],
+ *   ignore: string[], gitignore: boolean, settingsFile: string|undefined, format: string|undefined,
+ *   spacing: string|undefined,
+ *   components: boolean, sharedThreshold: string|undefined, componentStyle: string|undefined}} The CLI settings.
+ *   Missing positional arguments are resolved by main(), which also reads the settings file.
+ */
+function parseArgs(argv) {
+  const positionalArgs = argv.filter((arg) => !arg.startsWith('--'));
+  const getOption = (name, defaultValue) => {
+    const prefix = `--${name}=`;
+    const arg = argv.find((a) => a.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : defaultValue;
+  };
+  // Options that may be repeated, e.g. --ignore=dist/** --ignore=**/*.spec.ts.
+  const getOptions = (name) => argv.filter((a) => a.startsWith(`--${name}=`)).map((a) => a.slice(name.length + 3));
+  return {
+    // Comma-separated directories to scan, and the CSS file to write.
+    targetDir: positionalArgs[0],
+    outputCssFile: positionalArgs[1],
+    // Dark mode strategy: "media" (prefers-color-scheme), "class" (ancestor selector) or "selector" (:where()).
+    darkMode: getOption('dark-mode', 'media'),
+    darkSelector: getOption('dark-selector', '.dark'),
+    // Tailwind config file; tailwind.config.{js,cjs,mjs} in the working directory is used when omitted.
+    configFile: getOption('config', undefined),
+    // Comma-separated Tailwind v4 entry CSS files with @theme, @utility and @custom-variant blocks.
+    cssFiles: getOption('css', '').split(',').filter(Boolean),
+    // Rewrite mode: replace class lists in templates with semantic names ("element" or "hash" naming),
+    // inline SCSS @apply directives and/or migrate Angular Flex Layout directives to classes, in place
+    // or into --out-dir; --dry-run prints a diff instead.
+    rewrite: argv.includes('--rewrite'),
+    inlineApply: argv.includes('--inline-apply'),
+    flexLayout: argv.includes('--flex-layout'),
+    naming: getOption('naming', 'element'),
+    outDir: getOption('out-dir', undefined),
+    dryRun: argv.includes('--dry-run'),
+    // Unsupported classes: --report writes them as JSON, --strict makes them fail the run.
+    report: getOption('report', undefined),
+    strict: argv.includes('--strict'),
+    // Watch mode: regenerate the CSS when matched files change; --poll forces polling over fs.watch.
+    watch: argv.includes('--watch'),
+    poll: argv.includes('--poll'),
+    // Comma-separated file extensions to scan; every file type with extractors when omitted.
+    extensions: getOption('extensions', '')
+      .split(',')
+      .filter(Boolean)
+      .map((extension) => (extension.startsWith('.') ? extension : `.${extension}`)),
+    // Content globs (replacing the directory argument) and ignore globs; .gitignore applies unless --no-gitignore.
+    content: getOptions('content'),
+    ignore: getOptions('ignore'),
+    gitignore: !argv.includes('--no-gitignore'),
+    // Settings file; tailwind2css.config.{json,js,cjs,mjs} in the working directory is used when omitted.
+    settingsFile: getOption('settings', undefined),
+    // Output format: css, scss-placeholders, scss-mixins, css-modules or json.
+    format: getOption('format', undefined),
+    // Spacing step that numeric spacing values are multiples of; the theme's scale is used when omitted.
+    spacing: getOption('spacing', undefined),
+    // Component mode: write each Angular component's rules into its own stylesheet; classes used by
+    // --shared-threshold components or more go to the output file.
+    components: argv.includes('--components'),
+    sharedThreshold: getOption('shared-threshold', undefined),
+    componentStyle: getOption('component-style', undefined),
+  };
+}
+
+/**
+ * Finds a settings file in a directory.
+ * @param {string} dir - The directory to search.
+ * @returns {string|null} The absolute settings path, or null if there is none.
+ */
+function findSettingsFile(dir) {
+  const fileName = settingsFileNames.find((name) => fs.existsSync(path.resolve(dir, name)));
+  return fileName ? path.resolve(dir, fileName) : null;
+}
+
+/**
+ * Prints the classes no rule was generated for, each with the places it is used.
+ * @param {Map<string, {file: string, line: number}[]>} unsupported - The unsupported classes and their locations.
+ */
+function printUnsupportedSummary(unsupported) {
+  const maxLocations = 5;
+  console.log(`${unsupported.size} unsupported classes:`);
+  unsupported.forEach((locations, cls) => {
+    const shown = locations.slice(0, maxLocations).map(({ file, line }) => `${file}:${line}`);
+    if (locations.length > maxLocations) shown.push(`and ${locations.length - maxLocations} more`);
+    console.log(`  ${cls}${shown.length ? ` (${shown.join(', ')})` : ''}`);
+  });
+}
+
+/**
+ * Prints the outcome of a watch mode regeneration.
+ * @param {Object} update - The update passed to watch()'s onUpdate callback.
+ * @param {string} outputCssFile - The CSS file being generated.
+ */
+function printWatchUpdate(update, outputCssFile) {
+  const time = new Date().toLocaleTimeString();
+  const counts = [`${update.changed.length} changed`, `${update.added.length} added`, `${update.removed.length} removed`];
+  console.log(`[${time}] Files: ${counts.join(', ')}`);
+  update.errors.forEach(({ file, error }) => console.error('Error reading file:', file, error));
+  if (update.writeError) {
+    console.error(`[${time}] Error writing ${outputCssFile}: ${update.writeError.message}`);
+  } else if (update.written) {
+    console.log(`[${time}] Generated ${update.ruleCount} CSS rules (${update.unsupported.size} unsupported classes): ${outputCssFile}`);
+  } else {
+    console.log(`[${time}] Generated rules unchanged`);
+  }
+}
+
 /**
  * Main function that processes files in the target directory,
  * extracts Tailwind-like classes, and generates the CSS file.
  */
-function main() {
-  console.log(`Scanning pattern: ${pattern}`);
-  const files = globSync(pattern, { windowsPathsNoEscape: true });
-  console.log(`Found ${files.length} files to process`);
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { darkMode, darkSelector, configFile, cssFiles } = args;
 
-  files.forEach((file) => {
+  const settingsPath = args.settingsFile || findSettingsFile(process.cwd());
+  let settings = {};
+  if (settingsPath) {
     try {
-      const content = fs.readFileSync(file, 'utf8');
-      extractClasses(content);
-      extractPredefinedClasses(content);
-      extractAdditionalClasses(content);
-      if (path.extname(file) === '.scss') {
-        extractApplyClasses(content);
-      }
+      settings = await loadTailwindConfig(settingsPath);
     } catch (error) {
-      console.error('Error reading file:', file, error);
+      console.error(`Error loading settings: ${settingsPath}`, error);
+      process.exit(1);
     }
-  });
-
-  console.log(`Extracted ${classSet.size} unique classes`);
+    console.log(`Using settings: ${settingsPath}`);
+  }
+  const content = args.content.length ? args.content : [].concat(settings.content || []);
+  let { targetDir, outputCssFile } = args;
+  // With content globs there is no directory argument, so a single positional argument is the output file.
+  if (content.length && outputCssFile === undefined) {
+    outputCssFile = targetDir;
+    targetDir = undefined;
+  }
+  outputCssFile = outputCssFile || settings.output || './tailwind.css';
 
-  const cssRules = [];
-  classSet.forEach((cls) => {
-    const rule = generateCssForClass(cls);
-    if (rule) cssRules.push(rule);
-  });
+  const configPath = configFile || findTailwindConfig(process.cwd());
+  let config;
+  if (configPath) {
+    try {
+      config = await loadTailwindConfig(configPath);
+    } catch (error) {
+      console.error(`Error loading Tailwind config: ${configPath}`, error);
+      process.exit(1);
+    }
+    console.log(`Using Tailwind config: ${configPath}`);
+  }
 
-  console.log(`Generated ${cssRules.length} CSS rules`);
+  // Use path.join to build the pattern, then convert backslashes to forward slashes for cross-platform compatibility.
+  // The glob library expects forward slashes in patterns, even on Windows.
+  const extensions = args.extensions.length ? args.extensions : Object.keys(defaultExtractors);
+  const patterns = content.length
+    ? content
+    : (targetDir || 'projects')
+        .split(',')
+        .map((dir) => path.join(dir, filePattern(extensions)).replace(/\\/g, '/'));
+  console.log(`Scanning ${patterns.length === 1 ? 'pattern' : 'patterns'}: ${patterns.join(', ')}`);
 
-  // Prepend a :root rule to define --spacing.
-  const rootRule = `:root { --spacing: 1px; }`;
-  const outputCss = rootRule + '\n\n' + cssRules.join('\n\n');
+  const options = {
+    patterns,
+    ignore: [].concat(settings.ignore || [], args.ignore),
+    gitignore: args.gitignore && settings.gitignore !== false,
+    output: outputCssFile,
+    darkMode,
+    darkSelector,
+    config,
+    cssFiles,
+    format: args.format || settings.format,
+    spacing: args.spacing || settings.spacing,
+  };
+  const rewriting = args.rewrite || args.inlineApply || args.flexLayout;
+  if (args.watch && (rewriting || args.components)) {
+    console.error('--watch cannot be combined with --rewrite, --inline-apply, --flex-layout or --components');
+    process.exit(1);
+  }
+  if (args.components && rewriting) {
+    console.error('--components cannot be combined with --rewrite, --inline-apply or --flex-layout');
+    process.exit(1);
+  }
+  let result;
+  try {
+    if (args.watch) {
+      const onUpdate = (update) => printWatchUpdate(update, outputCssFile);
+      result = watch(Object.assign(options, { poll: args.poll, onUpdate }));
+    } else if (rewriting) {
+      result = rewrite(
+        Object.assign(options, {
+          classLists: args.rewrite,
+          inlineApply: args.inlineApply,
+          flexLayout: args.flexLayout,
+          naming: args.naming,
+          outDir: args.outDir,
+          dryRun: args.dryRun,
+        })
+      );
+    } else if (args.components) {
+      result = splitByComponent(
+        Object.assign(options, {
+          sharedThreshold: args.sharedThreshold,
+          componentStyle: args.componentStyle,
+          dryRun: args.dryRun,
+        })
+      );
+    } else {
+      result = convert(options);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 
-  fs.writeFileSync(outputCssFile, outputCss, 'utf8');
-  console.log(`CSS file generated: ${outputCssFile}`);
+  console.log(`Found ${result.files.length} files to process`);
+  result.errors.forEach(({ file, error }) => console.error('Error reading file:', file, error));
+  if (rewriting) {
+    if (args.dryRun) result.changes.forEach(({ diff }) => console.log(diff));
+    if (args.rewrite) console.log(`Replaced ${result.names.size} class lists with semantic names`);
+    if (args.inlineApply) console.log(`Inlined ${result.applyCount} @apply directives`);
+    if (args.flexLayout) {
+      console.log(`Replaced ${result.flexLayoutCount} Flex Layout directives with classes`);
+      if (result.flexLayoutSkipped.length) {
+        console.log(`Kept ${result.flexLayoutSkipped.length} Flex Layout directives that have no class equivalent:`);
+        result.flexLayoutSkipped.forEach(({ file, line, name }) => console.log(`  ${name} (${file}:${line})`));
+      }
+    }
+    console.log(`Changed ${result.changes.length} files`);
+  } else if (args.components) {
+    if (args.dryRun) result.changes.forEach(({ diff }) => console.log(diff));
+    const withStylesheet = result.components.filter(({ classes }) => classes.length).length;
+    console.log(`Split ${result.components.length} components: ${withStylesheet} with their own rules`);
+    console.log(`Shared ${result.shared.size} classes`);
+    console.log(`Changed ${result.changes.length} files`);
+  } else {
+    console.log(`Extracted ${result.classes.size} unique classes`);
+  }
+  console.log(`Generated ${result.ruleCount} CSS rules`);
+  if (result.unsupported.size) printUnsupportedSummary(result.unsupported);
+  if (args.report) {
+    const report = {
+      unsupportedCount: result.unsupported.size,
+      unsupported: Array.from(result.unsupported, ([cls, locations]) => ({ class: cls, locations })),
+    };
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2) + '\n', 'utf8');
+    console.log(`Unsupported class report written: ${args.report}`);
+  }
+  if (args.dryRun) {
+    console.log('Dry run: no files were written');
+  } else {
+    if (rewriting) console.log(`Files written ${args.outDir ? `to: ${args.outDir}` : 'in place'}`);
+    console.log(`CSS file generated: ${outputCssFile}`);
+  }
+  if (args.watch) {
+    console.log(`Watching for changes (${result.mode})...`);
+  } else if (args.strict && result.unsupported.size) {
+    console.error(`Strict mode: ${result.unsupported.size} classes have no CSS rule`);
+    process.exit(1);
+  }
 }
 
-// Execute the main process.
-main();
+module.exports = {
+  extractClasses,
+  generateCssForClass,
+  generateCss,
+  convert,
+  defaultExtractors,
+  watch,
+  rewrite,
+  splitByComponent,
+  resolveTheme,
+  loadTailwindConfig,
+  parseCssConfig,
+};
+
+// Execute the main process when run from the command line.
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
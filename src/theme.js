@@ -0,0 +1,337 @@
+/**
+ * @file theme.js
+ * @description Default Tailwind theme values and loading of a project's tailwind.config.{js,cjs,mjs}.
+ *
+ * A project's `theme` keys replace the defaults, and `theme.extend` keys are merged over the result,
+ * the same way Tailwind resolves its configuration.
+ */
+
+// ------------------------------
+// REQUIRED MODULES
+// ------------------------------
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const colors = require('./colors');
+
+// ------------------------------
+// DEFAULT THEME
+// ------------------------------
+
+/**
+ * The default theme used when a project does not override a key.
+ */
+const defaultTheme = {
+  screens: {
+    sm: '40rem',
+    md: '48rem',
+    lg: '64rem',
+    xl: '80rem',
+    '2xl': '96rem',
+  },
+  spacing: {
+    px: '1px',
+    0: '0px',
+    0.5: '0.125rem',
+    1: '0.25rem',
+    1.5: '0.375rem',
+    2: '0.5rem',
+    2.5: '0.625rem',
+    3: '0.75rem',
+    3.5: '0.875rem',
+    4: '1rem',
+    5: '1.25rem',
+    6: '1.5rem',
+    7: '1.75rem',
+    8: '2rem',
+    9: '2.25rem',
+    10: '2.5rem',
+    11: '2.75rem',
+    12: '3rem',
+    14: '3.5rem',
+    16: '4rem',
+    20: '5rem',
+    24: '6rem',
+    28: '7rem',
+    32: '8rem',
+    36: '9rem',
+    40: '10rem',
+    44: '11rem',
+    48: '12rem',
+    52: '13rem',
+    56: '14rem',
+    60: '15rem',
+    64: '16rem',
+    72: '18rem',
+    80: '20rem',
+    96: '24rem',
+  },
+  // Fixed widths used by w-, min-w-, max-w- and size utilities (e.g. max-w-7xl).
+  containers: {
+    '3xs': '16rem',
+    '2xs': '18rem',
+    xs: '20rem',
+    sm: '24rem',
+    md: '28rem',
+    lg: '32rem',
+    xl: '36rem',
+    '2xl': '42rem',
+    '3xl': '48rem',
+    '4xl': '56rem',
+    '5xl': '64rem',
+    '6xl': '72rem',
+    '7xl': '80rem',
+  },
+  colors,
+  // Named background images (e.g. { hero: "url('/img/hero.png')" } for bg-hero).
+  backgroundImage: {},
+  borderRadius: {
+    none: '0px',
+    xs: '0.125rem',
+    sm: '0.25rem',
+    DEFAULT: '0.25rem',
+    md: '0.375rem',
+    lg: '0.5rem',
+    xl: '0.75rem',
+    '2xl': '1rem',
+    '3xl': '1.5rem',
+    '4xl': '2rem',
+    full: '9999px',
+  },
+  boxShadow: {
+    '2xs': '0 1px rgb(0 0 0 / 0.05)',
+    xs: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    sm: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    DEFAULT: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+    lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+    xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+    '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+    inner: 'inset 0 2px 4px 0 rgb(0 0 0 / 0.05)',
+    none: '0 0 #0000',
+  },
+  blur: {
+    none: '0',
+    xs: '4px',
+    sm: '8px',
+    DEFAULT: '8px',
+    md: '12px',
+    lg: '16px',
+    xl: '24px',
+    '2xl': '40px',
+    '3xl': '64px',
+  },
+  transitionTimingFunction: {
+    DEFAULT: 'cubic-bezier(0.4, 0, 0.2, 1)',
+    linear: 'linear',
+    in: 'cubic-bezier(0.4, 0, 1, 1)',
+    out: 'cubic-bezier(0, 0, 0.2, 1)',
+    'in-out': 'cubic-bezier(0.4, 0, 0.2, 1)',
+  },
+  animation: {
+    none: 'none',
+    spin: 'spin 1s linear infinite',
+    ping: 'ping 1s cubic-bezier(0, 0, 0.2, 1) infinite',
+    pulse: 'pulse 2s cubic-bezier(0.4, 0, 0.6, 1) infinite',
+    bounce: 'bounce 1s infinite',
+  },
+  // Keyframes of the animations above, emitted with the first animate-* class that uses them.
+  keyframes: {
+    spin: { to: { transform: 'rotate(360deg)' } },
+    ping: { '75%, 100%': { transform: 'scale(2)', opacity: '0' } },
+    pulse: { '50%': { opacity: '0.5' } },
+    bounce: {
+      '0%, 100%': { transform: 'translateY(-25%)', animationTimingFunction: 'cubic-bezier(0.8, 0, 1, 1)' },
+      '50%': { transform: 'none', animationTimingFunction: 'cubic-bezier(0, 0, 0.2, 1)' },
+    },
+  },
+  // Each size is [fontSize, { lineHeight }], as in tailwind.config.js.
+  fontSize: {
+    xs: ['0.75rem', { lineHeight: '1rem' }],
+    sm: ['0.875rem', { lineHeight: '1.25rem' }],
+    base: ['1rem', { lineHeight: '1.5rem' }],
+    lg: ['1.125rem', { lineHeight: '1.75rem' }],
+    xl: ['1.25rem', { lineHeight: '1.75rem' }],
+    '2xl': ['1.5rem', { lineHeight: '2rem' }],
+    '3xl': ['1.875rem', { lineHeight: '2.25rem' }],
+    '4xl': ['2.25rem', { lineHeight: '2.5rem' }],
+    '5xl': ['3rem', { lineHeight: '1' }],
+    '6xl': ['3.75rem', { lineHeight: '1' }],
+    '7xl': ['4.5rem', { lineHeight: '1' }],
+    '8xl': ['6rem', { lineHeight: '1' }],
+    '9xl': ['8rem', { lineHeight: '1' }],
+  },
+  fontFamily: {
+    sans: ['ui-sans-serif', 'system-ui', 'sans-serif', '"Apple Color Emoji"', '"Segoe UI Emoji"', '"Segoe UI Symbol"', '"Noto Color Emoji"'],
+    serif: ['ui-serif', 'Georgia', 'Cambria', '"Times New Roman"', 'Times', 'serif'],
+    mono: ['ui-monospace', 'SFMono-Regular', 'Menlo', 'Monaco', 'Consolas', '"Liberation Mono"', '"Courier New"', 'monospace'],
+  },
+  fontWeight: {
+    thin: '100',
+    extralight: '200',
+    light: '300',
+    normal: '400',
+    medium: '500',
+    semibold: '600',
+    bold: '700',
+    extrabold: '800',
+    black: '900',
+  },
+  lineHeight: {
+    none: '1',
+    tight: '1.25',
+    snug: '1.375',
+    normal: '1.5',
+    relaxed: '1.625',
+    loose: '2',
+  },
+  letterSpacing: {
+    tighter: '-0.05em',
+    tight: '-0.025em',
+    normal: '0em',
+    wide: '0.025em',
+    wider: '0.05em',
+    widest: '0.1em',
+  },
+};
+
+// ------------------------------
+// THEME RESOLUTION
+// ------------------------------
+
+/**
+ * Checks whether a value is a plain object (and not an array or a function).
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Recursively merges `source` over `target` without mutating either.
+ * @param {Object} target - The base object.
+ * @param {Object} source - The object whose keys take precedence.
+ * @returns {Object} The merged object.
+ */
+function deepMerge(target, source) {
+  const result = Object.assign({}, target);
+  Object.keys(source).forEach((key) => {
+    result[key] =
+      isPlainObject(result[key]) && isPlainObject(source[key])
+        ? deepMerge(result[key], source[key])
+        : source[key];
+  });
+  return result;
+}
+
+/**
+ * Resolves a theme value that may be written as a function (e.g. `({ theme }) => ({ ... })`).
+ * @param {*} value - The configured value.
+ * @param {Object} theme - The theme resolved so far, used by the `theme()` helper.
+ * @returns {*} The plain value.
+ */
+function resolveThemeValue(value, theme) {
+  if (typeof value !== 'function') return value;
+  const themeHelper = (keyPath, defaultValue) => {
+    const found = keyPath.split('.').reduce((obj, key) => (isPlainObject(obj) ? obj[key] : undefined), theme);
+    return found === undefined ? defaultValue : found;
+  };
+  return value({ theme: themeHelper, colors: defaultTheme.colors });
+}
+
+/**
+ * Applies a Tailwind config's `theme` and `theme.extend` over the default theme.
+ * @param {Object} [config] - The Tailwind config object (as exported by tailwind.config.js).
+ * @returns {Object} The resolved theme.
+ */
+function resolveTheme(config = {}) {
+  const configTheme = config.theme || {};
+  let theme = Object.assign({}, defaultTheme);
+  Object.keys(configTheme).forEach((key) => {
+    if (key !== 'extend') theme[key] = resolveThemeValue(configTheme[key], theme);
+  });
+  const extend = configTheme.extend || {};
+  Object.keys(extend).forEach((key) => {
+    const value = resolveThemeValue(extend[key], theme);
+    theme[key] = isPlainObject(theme[key]) && isPlainObject(value) ? deepMerge(theme[key], value) : value;
+  });
+  return theme;
+}
+
+/**
+ * Looks up a color by its utility name, following nested palettes and DEFAULT keys
+ * (e.g. "red-500" -> colors.red[500], "brand" -> colors.brand.DEFAULT).
+ * @param {Object} colors - The resolved theme colors.
+ * @param {string} name - The color name from the class (e.g., "red-500").
+ * @returns {string|null} The color value, or null if the theme does not define it.
+ */
+function lookupColor(colors, name) {
+  if (!isPlainObject(colors)) return null;
+  if (Object.prototype.hasOwnProperty.call(colors, name)) {
+    const value = colors[name];
+    if (typeof value === 'string') return value;
+    return isPlainObject(value) && typeof value.DEFAULT === 'string' ? value.DEFAULT : null;
+  }
+  // Try every split point, so both "light-blue-500" and "brand-dark" style keys are found.
+  for (let i = name.indexOf('-'); i !== -1; i = name.indexOf('-', i + 1)) {
+    const group = name.slice(0, i);
+    if (isPlainObject(colors[group])) {
+      const value = lookupColor(colors[group], name.slice(i + 1));
+      if (value) return value;
+    }
+  }
+  return null;
+}
+
+// ------------------------------
+// CONFIG FILE LOADING
+// ------------------------------
+
+/**
+ * Config file names searched for, in order.
+ */
+const configFileNames = ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs'];
+
+/**
+ * Finds a Tailwind config file in a directory.
+ * @param {string} dir - The directory to search.
+ * @returns {string|null} The absolute config path, or null if there is none.
+ */
+function findTailwindConfig(dir) {
+  for (const fileName of configFileNames) {
+    const configPath = path.resolve(dir, fileName);
+    if (fs.existsSync(configPath)) return configPath;
+  }
+  return null;
+}
+
+/**
+ * Loads a Tailwind config file. CommonJS configs are required; ES module configs
+ * (.mjs, or .js in a "type": "module" package) are imported.
+ * @param {string} configPath - Path of the config file.
+ * @returns {Promise<Object>} The exported config object.
+ */
+async function loadTailwindConfig(configPath) {
+  const absolutePath = path.resolve(configPath);
+  let exported;
+  if (path.extname(absolutePath) === '.mjs') {
+    exported = await import(pathToFileURL(absolutePath).href);
+  } else {
+    try {
+      exported = require(absolutePath);
+    } catch (error) {
+      if (error.code !== 'ERR_REQUIRE_ESM') throw error;
+      exported = await import(pathToFileURL(absolutePath).href);
+    }
+  }
+  return (exported && exported.default) || exported;
+}
+
+module.exports = {
+  defaultTheme,
+  resolveTheme,
+  lookupColor,
+  findTailwindConfig,
+  loadTailwindConfig,
+};
@@ -0,0 +1,140 @@
+/**
+ * @file watch.js
+ * @description Change detection for watch mode.
+ *
+ * Reports which files changed under the directories a set of glob patterns covers. Recursive
+ * `fs.watch` is used where the platform supports it; otherwise (or when asked to) the matched files
+ * are polled for changes to their modification time and size.
+ */
+
+// ------------------------------
+// REQUIRED MODULES
+// ------------------------------
+const fs = require('fs');
+const path = require('path');
+
+// ------------------------------
+// CONFIGURATION
+// ------------------------------
+const defaultPollInterval = 500;
+// Editors often save a file in several steps; events closer together than this are reported at once.
+const debounceDelay = 100;
+
+// ------------------------------
+// WATCHING
+// ------------------------------
+
+/**
+ * Returns the directory a glob pattern is rooted in: its segments before the first one with glob syntax.
+ * @param {string} pattern - The glob pattern (e.g., "src/app/**\/*.html").
+ * @returns {string} The directory (e.g., "src/app"), or "." if the pattern starts with glob syntax.
+ */
+function patternBase(pattern) {
+  const segments = pattern.split('/');
+  const magicIndex = segments.findIndex((segment) => /[*?[\]{}()!]/.test(segment));
+  const base = segments.slice(0, magicIndex === -1 ? -1 : magicIndex).join('/');
+  return base || '.';
+}
+
+/**
+ * Records the modification time and size of files.
+ * @param {string} cwd - The directory the files are relative to.
+ * @param {string[]} files - The files to stat.
+ * @returns {Map<string, string>} A signature per file that could be read.
+ */
+function statFiles(cwd, files) {
+  const signatures = new Map();
+  files.forEach((file) => {
+    try {
+      const stats = fs.statSync(path.resolve(cwd, file));
+      signatures.set(file, `${stats.mtimeMs}:${stats.size}`);
+    } catch (error) {
+      // Removed between listing and stat; the next poll reports it.
+    }
+  });
+  return signatures;
+}
+
+/**
+ * Watches the files matched by glob patterns and reports changes, additions and removals.
+ * @param {Object} options - Watch options.
+ * @param {string} options.cwd - The directory the patterns are relative to.
+ * @param {string[]} options.patterns - The glob patterns of the files to watch.
+ * @param {function(): string[]} options.listFiles - Lists the files currently matched by the patterns.
+ * @param {boolean|number} [options.poll] - Poll instead of using fs.watch, every `poll` milliseconds
+ *   if a number is given (500 by default).
+ * @param {function(string[]): void} onChange - Called with the paths (relative to cwd, with forward slashes)
+ *   that changed.
+ *   With fs.watch the paths are not filtered by the patterns; callers compare them with listFiles().
+ * @returns {{mode: string, close: function(): void}} The mode used ("fs.watch" or "poll") and a
+ *   function that stops watching.
+ */
+function createWatcher(options, onChange) {
+  const { cwd, patterns, listFiles } = options;
+  let pending = new Set();
+  let timer = null;
+  const report = (file) => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = Array.from(pending);
+      pending = new Set();
+      onChange(files);
+    }, debounceDelay);
+  };
+
+  let stop = () => {};
+  const close = () => {
+    clearTimeout(timer);
+    stop();
+  };
+
+  const poll = () => {
+    let signatures = statFiles(cwd, listFiles());
+    const interval = setInterval(() => {
+      const current = statFiles(cwd, listFiles());
+      current.forEach((signature, file) => {
+        if (signatures.get(file) !== signature) report(file);
+      });
+      signatures.forEach((signature, file) => {
+        if (!current.has(file)) report(file);
+      });
+      signatures = current;
+    }, typeof options.poll === 'number' ? options.poll : defaultPollInterval);
+    stop = () => clearInterval(interval);
+    return { mode: 'poll', close };
+  };
+
+  if (options.poll) return poll();
+
+  // One watcher per distinct base directory; fall back to polling if recursive watching is not
+  // supported or a watcher fails later (e.g., because its directory was removed).
+  const directories = Array.from(new Set(patterns.map(patternBase)));
+  const watchers = [];
+  const stopWatchers = () => watchers.forEach((watcher) => watcher.close());
+  try {
+    directories.forEach((directory) => {
+      const watcher = fs.watch(path.resolve(cwd, directory), { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+        // Reported with forward slashes on every system, like the paths listFiles() returns.
+        report(path.relative(cwd, path.resolve(cwd, directory, filename.toString())).split(path.sep).join('/'));
+      });
+      watcher.on('error', () => {
+        if (stop !== stopWatchers) return;
+        stopWatchers();
+        poll();
+      });
+      watchers.push(watcher);
+    });
+  } catch (error) {
+    stopWatchers();
+    return poll();
+  }
+  stop = stopWatchers;
+  return { mode: 'fs.watch', close };
+}
+
+module.exports = {
+  patternBase,
+  createWatcher,
+};
@@ -0,0 +1,295 @@
+/**
+ * @file writers.js
+ * @description Renders a generated rule set in one of the output formats.
+ *
+ * The generators produce rules as CSS text; the stylesheet functions parse them into a rule set
+ * (see RuleSet) and hand it to a writer here. Each writer decides on its own how a rule, its
+ * media query, the :root variables and the @keyframes are written: as plain CSS, as SCSS
+ * placeholders or mixins, as a CSS Modules file or as JSON.
+ */
+
+// ------------------------------
+// REQUIRED MODULES
+// ------------------------------
+const { parseBlockBody, splitDeclaration } = require('./css-config');
+
+// ------------------------------
+// RULE SET
+// ------------------------------
+
+/**
+ * A stylesheet before it is written.
+ * @typedef {Object} RuleSet
+ * @property {string[]|null} root - The declarations of the :root rule, or null for none.
+ * @property {{name: string, selector: string, query: string|null,
+ *   blocks: {selector: string, declarations: string[]}[]}[]} rules - One entry per class, in stylesheet
+ *   order: the class name, its own selector (e.g. ".md\:p-4"), the media query it belongs in and its
+ *   rule blocks (e.g. ".space-x-2" and ".space-x-2 > :not(:last-child)").
+ * @property {{name: string, frames: {selector: string, declarations: string[]}[]}[]} keyframes - The
+ *   @keyframes the rules use.
+ */
+
+/**
+ * Output formats, in the order they are listed in messages.
+ */
+const formats = ['css', 'scss-placeholders', 'scss-mixins', 'css-modules', 'json'];
+
+/**
+ * Splits generated CSS into its rule blocks.
+ * @param {string} rule - One or more "selector { declarations }" rules.
+ * @returns {{selector: string, declarations: string[]}[]} The blocks, in source order.
+ */
+function parseRule(rule) {
+  return parseBlockBody(rule).blocks.map((block) => ({
+    selector: block.prelude,
+    declarations: parseBlockBody(block.body).declarations,
+  }));
+}
+
+// ------------------------------
+// CSS FORMATTING
+// ------------------------------
+
+/**
+ * Formats a rule: single-line for one declaration, one declaration per line otherwise.
+ * @param {string} selector - The rule's selector.
+ * @param {string[]} declarations - The declarations, without trailing semicolons.
+ * @returns {string} The CSS rule.
+ */
+function formatRule(selector, declarations) {
+  if (declarations.length === 1) return `${selector} { ${declarations[0]}; }`;
+  return `${selector} {\n${declarations.map((declaration) => `  ${declaration};`).join('\n')}\n}`;
+}
+
+/**
+ * Indents every non-empty line by two spaces.
+ * @param {string} text - The text to indent.
+ * @returns {string} The indented text.
+ */
+function indent(text) {
+  return text
+    .split('\n')
+    .map((line) => (line ? '  ' + line : line))
+    .join('\n');
+}
+
+/**
+ * Wraps rules in a media query block.
+ * @param {string} query - The media query (e.g., "(min-width: 48rem)").
+ * @param {string[]} rules - The CSS rules to wrap.
+ * @returns {string} The media query block.
+ */
+function wrapInMediaQuery(query, rules) {
+  return `@media ${query} {\n${indent(rules.join('\n\n'))}\n}`;
+}
+
+/**
+ * Formats a @keyframes block.
+ * @param {{name: string, frames: {selector: string, declarations: string[]}[]}} keyframes - The animation.
+ * @returns {string} The @keyframes block.
+ */
+function formatKeyframes({ name, frames }) {
+  const body = frames.map((frame) => formatRule(frame.selector, frame.declarations)).join('\n');
+  return `@keyframes ${name} {\n${indent(body)}\n}`;
+}
+
+/**
+ * Joins the :root rule and the other sections of a stylesheet.
+ * @param {RuleSet} ruleSet - The rule set being written.
+ * @param {string[]} sections - The rules, @media blocks and @keyframes.
+ * @returns {string} The stylesheet.
+ */
+function joinSections(ruleSet, sections) {
+  const body = sections.join('\n\n');
+  return ruleSet.root ? `${formatRule(':root', ruleSet.root)}\n\n${body}` : body;
+}
+
+// ------------------------------
+// WRITERS
+// ------------------------------
+
+/**
+ * Writes plain CSS: the base rules, one @media block per query, then the @keyframes.
+ * @param {RuleSet} ruleSet - The rule set to write.
+ * @param {function(string, Object): string} [mapSelector] - Rewrites each block's selector; receives
+ *   the selector and its rule.
+ * @returns {string} The stylesheet.
+ */
+function writeCss(ruleSet, mapSelector = (selector) => selector) {
+  const groups = new Map([[null, []]]);
+  ruleSet.rules.forEach((rule) => {
+    if (!groups.has(rule.query)) groups.set(rule.query, []);
+    const blocks = rule.blocks.map((block) => formatRule(mapSelector(block.selector, rule), block.declarations));
+    groups.get(rule.query).push(blocks.join('\n'));
+  });
+  const sections = [];
+  groups.forEach((rules, query) => {
+    if (query === null) sections.push(...rules);
+    else sections.push(wrapInMediaQuery(query, rules));
+  });
+  return joinSections(ruleSet, sections.concat(ruleSet.keyframes.map(formatKeyframes)));
+}
+
+/**
+ * Writes a CSS Modules file. Each class stays a local class (imported as `styles['md:p-4']`), while
+ * the other classes its selectors depend on, such as `group` or the dark mode class, are :global().
+ * @param {RuleSet} ruleSet - The rule set to write.
+ * @returns {string} The stylesheet.
+ */
+function writeCssModules(ruleSet) {
+  const classSelectorRegex = /\.(?:\\[0-9a-fA-F]{1,6} ?|\\.|[\w-])+/g;
+  return writeCss(ruleSet, (selector, rule) =>
+    selector.replace(classSelectorRegex, (cls) => (cls === rule.selector ? cls : `:global(${cls})`))
+  );
+}
+
+/**
+ * Formats a block, on one line when its body is a single declaration.
+ * @param {string} prelude - The selector or at-rule prelude.
+ * @param {string} body - The block's body.
+ * @returns {string} The block.
+ */
+function formatBlock(prelude, body) {
+  return /[\n{]/.test(body) ? `${prelude} {\n${indent(body)}\n}` : `${prelude} { ${body} }`;
+}
+
+/**
+ * Groups the rules of a rule set by class name. A class has several rules when it is set in several media
+ * queries, as the semantic names of rewrite mode are (".card" and ".card" within "@media (min-width: 48rem)").
+ * @param {Object[]} rules - The rules of a rule set.
+ * @returns {{name: string, selector: string, rules: Object[]}[]} One entry per class, in the order the
+ *   classes first appear, with its rules in stylesheet order.
+ */
+function groupRulesByName(rules) {
+  const groups = new Map();
+  rules.forEach((rule) => {
+    if (!groups.has(rule.name)) groups.set(rule.name, { name: rule.name, selector: rule.selector, rules: [] });
+    groups.get(rule.name).rules.push(rule);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Renders the body of a rule for use inside an SCSS placeholder or mixin: its own selector becomes
+ * "&", so declarations of the class itself are written directly, and its media query is nested.
+ * @param {Object} rule - A rule of the rule set.
+ * @returns {string} The SCSS body.
+ */
+function nestRule(rule) {
+  const ownSelectorRegex = new RegExp(`${rule.selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`, 'g');
+  const body = rule.blocks
+    .map((block) => {
+      const selector = block.selector.replace(ownSelectorRegex, '&');
+      if (selector === '&') return block.declarations.map((declaration) => `${declaration};`).join('\n');
+      return formatBlock(selector, block.declarations.map((declaration) => `${declaration};`).join('\n'));
+    })
+    .join('\n');
+  return rule.query ? formatBlock(`@media ${rule.query}`, body) : body;
+}
+
+/**
+ * Returns the mixin name of a class: "tw-" followed by the class name, with every character
+ * that cannot appear in an SCSS identifier replaced by "_" (e.g. "md:w-1/2" -> "tw-md_w-1_2").
+ * @param {string} name - The class name.
+ * @returns {string} The mixin name.
+ */
+function mixinName(name) {
+  return `tw-${name.replace(/[^\w-]/g, '_')}`;
+}
+
+/**
+ * Writes SCSS placeholders, one per class, to be used with `@extend %p-4;`. Class names keep their
+ * CSS escapes (`@extend %md\:p-4;`).
+ * @param {RuleSet} ruleSet - The rule set to write.
+ * @returns {string} The SCSS.
+ */
+function writeScssPlaceholders(ruleSet) {
+  const placeholders = groupRulesByName(ruleSet.rules).map(({ selector, rules }) =>
+    formatBlock(`%${selector.slice(1)}`, rules.map(nestRule).join('\n'))
+  );
+  return joinSections(ruleSet, placeholders.concat(ruleSet.keyframes.map(formatKeyframes)));
+}
+
+/**
+ * Writes SCSS mixins, one per class, to be used with `@include tw-p-4;` (see mixinName).
+ * @param {RuleSet} ruleSet - The rule set to write.
+ * @returns {string} The SCSS.
+ */
+function writeScssMixins(ruleSet) {
+  const mixins = groupRulesByName(ruleSet.rules).map(({ name, rules }) =>
+    formatBlock(`@mixin ${mixinName(name)}`, rules.map(nestRule).join('\n'))
+  );
+  return joinSections(ruleSet, mixins.concat(ruleSet.keyframes.map(formatKeyframes)));
+}
+
+/**
+ * Writes a JSON map from each class to its rules, each with its selector, media query (if any)
+ * and declarations, plus the :root variables and the @keyframes.
+ * @param {RuleSet} ruleSet - The rule set to write.
+ * @returns {string} The JSON document.
+ */
+function writeJson(ruleSet) {
+  const toObject = (declarations) =>
+    declarations.reduce((object, declaration) => {
+      const parts = splitDeclaration(declaration);
+      if (parts) object[parts.property] = parts.value;
+      return object;
+    }, {});
+  const document = {};
+  if (ruleSet.root) document.root = toObject(ruleSet.root);
+  document.classes = {};
+  groupRulesByName(ruleSet.rules).forEach(({ name, rules }) => {
+    document.classes[name] = [];
+    rules.forEach((rule) => {
+      rule.blocks.forEach((block) =>
+        document.classes[name].push(
+          Object.assign(
+            { selector: block.selector },
+            rule.query ? { media: rule.query } : {},
+            { declarations: toObject(block.declarations) }
+          )
+        )
+      );
+    });
+  });
+  document.keyframes = {};
+  ruleSet.keyframes.forEach(({ name, frames }) => {
+    document.keyframes[name] = {};
+    frames.forEach((frame) => (document.keyframes[name][frame.selector] = toObject(frame.declarations)));
+  });
+  return JSON.stringify(document, null, 2);
+}
+
+/**
+ * The writer of each output format.
+ */
+const writers = {
+  css: writeCss,
+  'scss-placeholders': writeScssPlaceholders,
+  'scss-mixins': writeScssMixins,
+  'css-modules': writeCssModules,
+  json: writeJson,
+};
+
+/**
+ * Writes a rule set in an output format.
+ * @param {RuleSet} ruleSet - The rule set to write.
+ * @param {string} [format] - One of `formats` (default "css").
+ * @returns {string} The output.
+ * @throws {Error} If the format is unknown.
+ */
+function writeStylesheet(ruleSet, format = 'css') {
+  if (!writers.hasOwnProperty(format)) {
+    throw new Error(`Unknown output format: ${format} (expected ${formats.join(', ')})`);
+  }
+  return writers[format](ruleSet);
+}
+
+module.exports = {
+  formats,
+  parseRule,
+  formatRule,
+  formatKeyframes,
+  mixinName,
+  writeStylesheet,
+};
@@ -0,0 +1,22 @@
+import { Component, HostBinding, Input } from '@angular/core';
+
+// Classes only reachable through Angular bindings: host metadata, @HostBinding and an inline template.
+@Component({
+  selector: 'app-angular-sample',
+  host: {
+    class: 'inline',
+    '[class.lowercase]': 'quiet',
+  },
+  template: `
+    <p [class.overline]="highlighted" [ngClass]="compact ? 'normal-case' : 'table'">Bound classes</p>
+    <span [ngClass]="{ 'subpixel-antialiased': crisp }">Object syntax</span>
+  `,
+})
+export class AngularSampleComponent {
+  @Input() quiet = false;
+  @Input() highlighted = false;
+  @Input() compact = false;
+  @Input() crisp = false;
+  // Not a class attribute: must not be extracted.
+  subclass = 'contents-none';
+}
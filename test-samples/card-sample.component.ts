@@ -0,0 +1,12 @@
+import { Component, Input } from '@angular/core';
+
+// A component with an external template and stylesheet, as paired by --components.
+@Component({
+  selector: 'app-card-sample',
+  templateUrl: './card-sample.component.html',
+  styleUrls: ['./card-sample.component.scss'],
+})
+export class CardSampleComponent {
+  @Input() title = '';
+  @Input() summary = '';
+}
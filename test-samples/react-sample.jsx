@@ -0,0 +1,22 @@
+import clsx from 'clsx';
+import { cva } from 'class-variance-authority';
+
+// className strings, expressions and template literals, plus clsx and cva arguments.
+const badge = cva('inline-grid', {
+  variants: {
+    tone: { calm: 'bg-teal-100 text-teal-900', loud: ['bg-rose-600', 'text-rose-50'] },
+  },
+  compoundVariants: [{ tone: 'loud', class: 'uppercase' }],
+  defaultVariants: { tone: 'calm' },
+});
+
+export function ReactSample({ open, size, tone }) {
+  return (
+    <section className="grid-cols-7 gap-7">
+      <p className={open ? 'pt-9' : 'pb-9'}>Expression</p>
+      <p className={`mx-7 ${size === 'lg' ? 'text-3xl' : 'text-2xl'}`}>Template literal</p>
+      <span className={clsx('rounded-2xl', { 'bg-emerald-300 opacity-90': open, 'line-clamp-5': !open })}>clsx</span>
+      <span className={badge({ tone })}>cva</span>
+    </section>
+  );
+}
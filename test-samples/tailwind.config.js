@@ -0,0 +1,20 @@
+/** Tailwind config used by the test suite to check theme loading. */
+module.exports = {
+  theme: {
+    extend: {
+      screens: {
+        '3xl': '120rem',
+      },
+      spacing: {
+        18: '4.5rem',
+        header: '3.75rem',
+      },
+      colors: {
+        brand: {
+          DEFAULT: '#0ea5e9',
+          dark: '#0369a1',
+        },
+      },
+    },
+  },
+};
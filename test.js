@@ -1,12 +1,20 @@
 #!/usr/bin/env node
 /**
  * @file test.js
- * @description Test script that compares actual output with expected output
+ * @description Test script that compares actual output with expected output, then runs the feature checks
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const assert = require('assert');
 const { execSync } = require('child_process');
+const { generateCss, convert, rewrite, watch, splitByComponent } = require('./src/tailwind2css');
+const { createWatcher } = require('./src/watch');
+
+const testDir = path.join(__dirname, 'test-samples');
+// Scratch directory of the feature checks, removed when the suite ends.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tailwind2css-test-'));
 
 // ANSI color codes for terminal output
 const colors = {
@@ -64,19 +72,608 @@ function compareCSS(expected, actual) {
   };
 }
 
-function runTest() {
+// Feature checks: each runs one behaviour (a CLI run, an API call) and throws when it is wrong.
+const checks = [];
+
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+async function runChecks() {
+  const failures = [];
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      log(`  ✓ ${name}`, 'green');
+    } catch (error) {
+      log(`  ✗ ${name}`, 'red');
+      failures.push({ name, error });
+    }
+  }
+  return failures;
+}
+
+// Runs the CLI from the repository root and returns its exit code and output.
+function runCli(args, options = {}) {
+  try {
+    const stdout = execSync(`node ${path.join(__dirname, 'src/tailwind2css.js')} ${args}`, {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      cwd: options.cwd || __dirname,
+    });
+    return { status: 0, stdout, stderr: '' };
+  } catch (error) {
+    return { status: error.status, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+// Compares output with a file of test-samples/, the same way as the main comparison.
+function expectSnapshot(actual, expectedName) {
+  const expected = fs.readFileSync(path.join(testDir, expectedName), 'utf8');
+  const result = compareCSS(expected, actual);
+  if (!result.passed) {
+    const diff = result.differences[0];
+    assert.fail(`${expectedName}: line ${diff.line}\n      expected: ${diff.expected}\n      actual:   ${diff.actual}`);
+  }
+}
+
+// Writes files into a new directory of the scratch directory and returns its path.
+function createFixture(name, files) {
+  const dir = path.join(tmpDir, name);
+  Object.keys(files).forEach((file) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), files[file]);
+  });
+  return dir;
+}
+
+// ------------------------------
+// DARK MODE
+// ------------------------------
+
+check('--dark-mode=class scopes dark rules under the dark class', () => {
+  const output = path.join(tmpDir, 'dark-class.css');
+  runCli(`--content=test-samples/dark-sample.html ${output} --dark-mode=class`);
+  expectSnapshot(fs.readFileSync(output, 'utf8'), 'expected-dark-class.css');
+});
+
+check('--dark-mode=selector matches a custom --dark-selector on the element or an ancestor', () => {
+  const output = path.join(tmpDir, 'dark-selector.css');
+  runCli(`--content=test-samples/dark-sample.html ${output} --dark-mode=selector "--dark-selector=[data-theme=dark]"`);
+  expectSnapshot(fs.readFileSync(output, 'utf8'), 'expected-dark-selector.css');
+});
+
+check('dark rules come after every breakpoint, as in Tailwind', () => {
+  const css = generateCss(['dark:p-6', 'md:dark:flex-col', 'xl:p-4', 'sm:p-2']);
+  const queries = css.match(/@media [^{]+/g).map((query) => query.trim());
+  assert.deepStrictEqual(queries, [
+    '@media (min-width: 40rem)',
+    '@media (min-width: 80rem)',
+    '@media (prefers-color-scheme: dark)',
+    '@media (min-width: 48rem) and (prefers-color-scheme: dark)',
+  ]);
+});
+
+// ------------------------------
+// REWRITE MODE
+// ------------------------------
+
+// Two components repeating a class list, a class the project already uses (user-card-span) and one its
+// stylesheet defines (user-card-p), so generated names have to step around them.
+const rewriteFixture = {
+  'src/app/user-card.component.html': [
+    '<div class="card flex items-center p-4 md:p-8 hover:bg-red-500">',
+    '  <span class="user-card-span">Taken</span>',
+    `  <span class="font-bold text-sm" [ngClass]="{'p-4 flex': isOpen, active: isActive}">Name</span>`,
+    `  <p class="text-left" [ngClass]="mode === 'compact' ? 'font-bold' : 'italic'">Mode</p>`,
+    '  <p class="p-{{ size }}">Interpolated</p>',
+    '</div>',
+    '',
+  ].join('\n'),
+  'src/app/user-list.component.html': [
+    '<ul class="flex items-center p-4 md:p-8 hover:bg-red-500">',
+    '  <li class="font-bold text-sm">Item</li>',
+    '</ul>',
+    '',
+  ].join('\n'),
+  'src/styles.scss': '.user-card-p {\n  color: red;\n}\n',
+};
+
+check('--rewrite --dry-run prints the diff of every template and writes nothing', () => {
+  const dir = createFixture('rewrite-dry-run', rewriteFixture);
+  const { status, stdout } = runCli('src semantic.css --rewrite --dry-run', { cwd: dir });
+  assert.strictEqual(status, 0);
+  expectSnapshot(stdout, 'expected-rewrite.txt');
+  assert.strictEqual(fs.existsSync(path.join(dir, 'semantic.css')), false);
+  const template = 'src/app/user-list.component.html';
+  assert.strictEqual(fs.readFileSync(path.join(dir, template), 'utf8'), rewriteFixture[template]);
+});
+
+check('rewrite() combines each class list into one rule per semantic name', () => {
+  const dir = createFixture('rewrite-api', rewriteFixture);
+  const result = rewrite({ cwd: dir, dryRun: true });
+  assert.deepStrictEqual(result.names.get('user-card-div'), ['flex', 'items-center', 'p-4', 'md:p-8', 'hover:bg-red-500']);
+  expectSnapshot(result.css, 'expected-rewrite.css');
+});
+
+check('rewrite() never hands out a name the project already uses or defines', () => {
+  const dir = createFixture('rewrite-reserved', rewriteFixture);
+  const { names } = rewrite({ cwd: dir, dryRun: true });
+  assert.strictEqual(names.has('user-card-span'), false);
+  assert.strictEqual(names.has('user-card-p'), false);
+  assert.deepStrictEqual(names.get('user-card-span-2'), ['font-bold', 'text-sm']);
+  assert.deepStrictEqual(names.get('user-card-p-2'), ['text-left']);
+});
+
+check('--naming=hash gives a repeated class list the same name in every file', () => {
+  const dir = createFixture('rewrite-hash', rewriteFixture);
+  const { changes } = rewrite({ cwd: dir, dryRun: true, naming: 'hash' });
+  const names = changes.map(({ after }) => after.match(/^<\w+ class="(tw-[0-9a-f]{8})[ "]/)[1]);
+  assert.strictEqual(names.length, 2);
+  assert.strictEqual(names[0], names[1]);
+});
+
+check('rewrite() only computes diffs in a dry run', () => {
+  const dir = createFixture('rewrite-no-diff', rewriteFixture);
+  const { changes } = rewrite({ cwd: dir, dryRun: true, outDir: 'out' });
+  assert.ok(changes.every(({ diff }) => diff.startsWith('--- a/')));
+  const written = rewrite({ cwd: dir, outDir: 'out' });
+  assert.ok(written.changes.every(({ diff }) => diff === ''));
+});
+
+check('--out-dir mirrors the rewritten files and leaves the originals alone', () => {
+  const dir = createFixture('rewrite-out-dir', rewriteFixture);
+  const { status } = runCli('src semantic.css --rewrite --out-dir=out', { cwd: dir });
+  assert.strictEqual(status, 0);
+  const original = path.join(dir, 'src/app/user-card.component.html');
+  const mirrored = path.join(dir, 'out/src/app/user-card.component.html');
+  assert.strictEqual(fs.readFileSync(original, 'utf8'), rewriteFixture['src/app/user-card.component.html']);
+  assert.ok(fs.readFileSync(mirrored, 'utf8').startsWith('<div class="user-card-div card">'));
+  assert.strictEqual(fs.existsSync(path.join(dir, 'out/src/styles.scss')), false);
+  assert.ok(fs.readFileSync(path.join(dir, 'semantic.css'), 'utf8').includes('.user-card-div {'));
+});
+
+// ------------------------------
+// INLINING @APPLY
+// ------------------------------
+
+const inlineApplyFixture = {
+  'src/card.component.scss': [
+    '.card {',
+    '  @apply flex p-4 md:p-8 hover:bg-red-500;',
+    '  color: red;',
+    '}',
+    '',
+    '.title {',
+    '  @apply font-bold unknown-x !important;',
+    '}',
+    '',
+    '.spinner {',
+    '  @apply animate-spin;',
+    '}',
+    '',
+  ].join('\n'),
+};
+
+check('--inline-apply --dry-run prints the inlined declarations and the unexpanded classes', () => {
+  const dir = createFixture('inline-apply-dry-run', inlineApplyFixture);
+  const { status, stdout } = runCli('src apply.css --inline-apply --dry-run', { cwd: dir });
+  assert.strictEqual(status, 0);
+  expectSnapshot(stdout, 'expected-inline-apply.txt');
+});
+
+check('--inline-apply reports unsupported classes at their line in the original file', () => {
+  const dir = createFixture('inline-apply-locations', inlineApplyFixture);
+  const { unsupported } = rewrite({ cwd: dir, classLists: false, inlineApply: true });
+  assert.deepStrictEqual(unsupported.get('unknown-x'), [{ file: 'src/card.component.scss', line: 7 }]);
+  const inlined = fs.readFileSync(path.join(dir, 'src/card.component.scss'), 'utf8');
+  assert.ok(inlined.includes('  @apply unknown-x !important;\n  font-weight: 700 !important;'));
+  assert.ok(inlined.includes('@keyframes spin'));
+});
+
+// ------------------------------
+// UNSUPPORTED CLASSES
+// ------------------------------
+
+const unsupportedFixture = {
+  'src/app.component.html': '<div class="p-4 fancy-x">\n  <span class="shadow-glow fancy-x">Hi</span>\n</div>\n',
+};
+
+check('--report writes the unsupported classes and their locations as JSON', () => {
+  const dir = createFixture('report', unsupportedFixture);
+  const { status, stdout } = runCli('src out.css --report=report.json', { cwd: dir });
+  assert.strictEqual(status, 0);
+  assert.ok(stdout.includes('Unsupported class report written: report.json'));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')), {
+    unsupportedCount: 2,
+    unsupported: [
+      {
+        class: 'fancy-x',
+        locations: [
+          { file: 'src/app.component.html', line: 1 },
+          { file: 'src/app.component.html', line: 2 },
+        ],
+      },
+      { class: 'shadow-glow', locations: [{ file: 'src/app.component.html', line: 2 }] },
+    ],
+  });
+});
+
+check('--strict exits with code 1 only when classes are unsupported', () => {
+  const dir = createFixture('strict', unsupportedFixture);
+  const failed = runCli('src out.css --strict', { cwd: dir });
+  assert.strictEqual(failed.status, 1);
+  assert.strictEqual(failed.stderr.trim(), 'Strict mode: 2 classes have no CSS rule');
+  assert.ok(fs.existsSync(path.join(dir, 'out.css')));
+  fs.writeFileSync(path.join(dir, 'src/app.component.html'), '<div class="p-4"></div>\n');
+  assert.strictEqual(runCli('src out.css --strict', { cwd: dir }).status, 0);
+});
+
+check('an unwritable --report path fails with its error message', () => {
+  const dir = createFixture('report-error', unsupportedFixture);
+  const { status, stderr } = runCli('src out.css --report=missing/report.json', { cwd: dir });
+  assert.strictEqual(status, 1);
+  assert.strictEqual(stderr.trim(), "ENOENT: no such file or directory, open 'missing/report.json'");
+});
+
+// ------------------------------
+// WATCH MODE
+// ------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once `predicate` holds, checking every 10 ms; fails after `timeout` ms.
+async function waitFor(predicate, timeout = 3000) {
+  for (let waited = 0; !predicate(); waited += 10) {
+    if (waited >= timeout) assert.fail(`Timed out after ${timeout} ms`);
+    await sleep(10);
+  }
+}
+
+check('createWatcher() reports a burst of saves as one change', async () => {
+  const dir = createFixture('watch-debounce', { 'a.html': '<p></p>' });
+  const calls = [];
+  const options = { cwd: dir, patterns: ['*.html'], listFiles: () => ['a.html'], poll: 10 };
+  const watcher = createWatcher(options, (files) => calls.push(files));
+  try {
+    for (let i = 1; i <= 3; i++) {
+      await sleep(30);
+      fs.writeFileSync(path.join(dir, 'a.html'), `<p class="p-${i}">${'x'.repeat(i)}</p>`);
+    }
+    await waitFor(() => calls.length > 0);
+    await sleep(300);
+    assert.deepStrictEqual(calls, [['a.html']]);
+  } finally {
+    watcher.close();
+  }
+});
+
+check('watch() reports changed, added and removed files and regenerates the CSS', async () => {
+  const dir = createFixture('watch-update', {
+    'src/a.html': '<p class="p-4"></p>\n',
+    'src/b.html': '<p class="m-2"></p>\n',
+  });
+  const updates = [];
+  const onUpdate = (update) => updates.push(update);
+  const result = watch({ cwd: dir, patterns: ['src/**/*.html'], output: 'out.css', poll: 10, onUpdate });
+  try {
+    assert.deepStrictEqual(result.files, ['src/a.html', 'src/b.html']);
+    fs.writeFileSync(path.join(dir, 'src/a.html'), '<p class="p-4 text-center"></p>\n');
+    fs.unlinkSync(path.join(dir, 'src/b.html'));
+    fs.writeFileSync(path.join(dir, 'src/c.html'), '<p class="gap-2"></p>\n');
+    await waitFor(() => updates.length > 0);
+    await sleep(300);
+    assert.strictEqual(updates.length, 1);
+    const [update] = updates;
+    assert.deepStrictEqual(update.changed, ['src/a.html']);
+    assert.deepStrictEqual(update.added, ['src/c.html']);
+    assert.deepStrictEqual(update.removed, ['src/b.html']);
+    assert.deepStrictEqual(Array.from(update.classes).sort(), ['gap-2', 'p-4', 'text-center']);
+    assert.strictEqual(update.written, true);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'out.css'), 'utf8'), update.css);
+  } finally {
+    result.close();
+  }
+});
+
+check('watch() reports an output it cannot write and keeps watching', async () => {
+  const dir = createFixture('watch-write-error', { 'src/a.html': '<p class="p-4"></p>\n', 'out/.keep': '' });
+  const updates = [];
+  const onUpdate = (update) => updates.push(update);
+  const result = watch({ cwd: dir, patterns: ['src/**/*.html'], output: 'out/o.css', poll: 10, onUpdate });
+  try {
+    fs.rmSync(path.join(dir, 'out'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'src/a.html'), '<p class="p-8"></p>\n');
+    await waitFor(() => updates.length > 0);
+    assert.strictEqual(updates[0].written, false);
+    assert.strictEqual(updates[0].writeError.code, 'ENOENT');
+    fs.mkdirSync(path.join(dir, 'out'));
+    fs.writeFileSync(path.join(dir, 'src/a.html'), '<p class="p-8 m-2"></p>\n');
+    await waitFor(() => updates.length > 1);
+    assert.strictEqual(updates[1].written, true);
+    assert.strictEqual(updates[1].writeError, null);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'out/o.css'), 'utf8'), updates[1].css);
+  } finally {
+    result.close();
+  }
+});
+
+check('watch() matches fs.watch paths in subdirectories with the listed files', async () => {
+  const dir = createFixture('watch-fs-watch', { 'src/app/a.html': '<p class="p-4"></p>\n' });
+  const updates = [];
+  const result = watch({ cwd: dir, patterns: ['src/**/*.html'], onUpdate: (update) => updates.push(update) });
+  try {
+    // Recursive fs.watch is not available everywhere; polling is covered above.
+    if (result.mode !== 'fs.watch') return;
+    await sleep(100);
+    fs.writeFileSync(path.join(dir, 'src/app/a.html'), '<p class="p-8"></p>\n');
+    await waitFor(() => updates.length > 0);
+    assert.deepStrictEqual(updates[0].changed, ['src/app/a.html']);
+    assert.ok(updates[0].classes.has('p-8'));
+  } finally {
+    result.close();
+  }
+});
+
+// ------------------------------
+// FILE DISCOVERY
+// ------------------------------
+
+const discoveryFixture = {
+  '.gitignore': 'generated/\n',
+  'src/app/app.component.html': '<p class="p-4"></p>\n',
+  'src/legacy/old.component.html': '<p class="m-8"></p>\n',
+  'src/generated/gen.component.html': '<p class="gap-2"></p>\n',
+  'lib/button.component.html': '<button class="text-center"></button>\n',
+};
+
+// The classes of a generated stylesheet, in order.
+const cssClasses = (css) => (css.match(/^\.[\w-]+/gm) || []).map((selector) => selector.slice(1));
+
+check('--ignore skips the files its glob matches', () => {
+  const dir = createFixture('discovery-ignore', discoveryFixture);
+  const { status, stdout } = runCli('src out.css --ignore=src/legacy/** --no-gitignore', { cwd: dir });
+  assert.strictEqual(status, 0);
+  assert.ok(stdout.includes('Found 2 files to process'));
+  assert.deepStrictEqual(cssClasses(fs.readFileSync(path.join(dir, 'out.css'), 'utf8')), ['gap-2', 'p-4']);
+});
+
+check('the .gitignore of the working directory keeps ignored directories out', () => {
+  const dir = createFixture('discovery-gitignore', discoveryFixture);
+  const { status } = runCli('src out.css', { cwd: dir });
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(cssClasses(fs.readFileSync(path.join(dir, 'out.css'), 'utf8')), ['m-8', 'p-4']);
+});
+
+check('a comma-separated directory argument scans every root', () => {
+  const dir = createFixture('discovery-roots', discoveryFixture);
+  const { status, stdout } = runCli('src/app,lib out.css', { cwd: dir });
+  assert.strictEqual(status, 0);
+  const extensions = '{html,ts,scss,js,jsx,tsx,vue,svelte}';
+  assert.ok(stdout.includes(`Scanning patterns: src/app/**/*.${extensions}, lib/**/*.${extensions}`));
+  assert.deepStrictEqual(cssClasses(fs.readFileSync(path.join(dir, 'out.css'), 'utf8')), ['p-4', 'text-center']);
+});
+
+check('the settings file is merged with the command line, which wins', () => {
+  const settings = { content: ['src/**/*.html'], ignore: ['src/legacy/**'], output: 'settings.css', format: 'json' };
+  const dir = createFixture(
+    'discovery-settings',
+    Object.assign({ 'tailwind2css.config.json': JSON.stringify(settings) }, discoveryFixture)
+  );
+  const fromSettings = runCli('', { cwd: dir });
+  assert.strictEqual(fromSettings.status, 0);
+  assert.ok(fromSettings.stdout.includes('Using settings: '));
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'settings.css'), 'utf8')).classes), [
+    'p-4',
+  ]);
+
+  // --content replaces the settings' globs, --ignore adds to its ignores, --format and the output file replace theirs.
+  const { status } = runCli('--content=src/**/*.html --content=lib/**/*.html --ignore=src/app/** --format=css cli.css', {
+    cwd: dir,
+  });
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(cssClasses(fs.readFileSync(path.join(dir, 'cli.css'), 'utf8')), ['text-center']);
+});
+
+// ------------------------------
+// OUTPUT FORMATS
+// ------------------------------
+
+// Base, state, group, breakpoint and dark rules, a rule with two blocks and an animation.
+const formatClasses = [
+  'p-4', 'md:p-8', 'hover:bg-red-500', 'group-hover:text-center', 'dark:p-6', 'space-x-2', 'animate-spin',
+];
+
+// SCSS expectations are .txt files: the .scss files of test-samples/ are scanned by the main comparison.
+const formatSnapshots = {
+  'scss-placeholders': 'expected-format-scss-placeholders.txt',
+  'scss-mixins': 'expected-format-scss-mixins.txt',
+  'css-modules': 'expected-format-css-modules.css',
+  json: 'expected-format-json.json',
+};
+Object.keys(formatSnapshots).forEach((format) => {
+  check(`--format=${format} writes every kind of rule`, () => {
+    expectSnapshot(generateCss(formatClasses, { format }), formatSnapshots[format]);
+  });
+});
+
+check('semantic names keep their rules for every media query in JSON, mixins and placeholders', () => {
+  const dir = createFixture('rewrite-formats', rewriteFixture);
+  const json = JSON.parse(rewrite({ cwd: dir, dryRun: true, format: 'json' }).css);
+  assert.deepStrictEqual(json.classes['user-card-div'], [
+    { selector: '.user-card-div', declarations: { display: 'flex', 'align-items': 'center', padding: '1rem' } },
+    { selector: '.user-card-div:hover', declarations: { 'background-color': '#ef4444' } },
+    { selector: '.user-card-div', media: '(min-width: 48rem)', declarations: { padding: '2rem' } },
+  ]);
+  const mixins = rewrite({ cwd: dir, dryRun: true, format: 'scss-mixins' }).css;
+  assert.strictEqual(mixins.split('@mixin tw-user-card-div {').length, 2);
+  const nested = ['  padding: 1rem;', '  &:hover { background-color: #ef4444; }', '  @media (min-width: 48rem) { padding: 2rem; }'];
+  assert.ok(mixins.includes(nested.join('\n')));
+  const placeholders = rewrite({ cwd: dir, dryRun: true, format: 'scss-placeholders' }).css;
+  assert.strictEqual(placeholders.split('%user-card-div {').length, 2);
+});
+
+// ------------------------------
+// COMPONENT STYLESHEETS
+// ------------------------------
+
+// Three components sharing flex and p-4 (so they are shared at the default threshold of 3): one with a template
+// and a stylesheet of its own, one whose stylesheet holds a region from an earlier run, and one with neither.
+const componentsFixture = {
+  'src/app/card/card.component.ts': [
+    "import { Component } from '@angular/core';",
+    '',
+    '@Component({',
+    "  selector: 'app-card',",
+    "  templateUrl: './card.component.html',",
+    "  styleUrls: ['./card.component.scss'],",
+    '})',
+    'export class CardComponent {}',
+    '',
+  ].join('\n'),
+  'src/app/card/card.component.html': '<article class="card flex p-4 rounded-lg dark:bg-black">Card</article>\n',
+  'src/app/card/card.component.scss': '// Hand-written rules stay.\n.card {\n  border: 1px solid transparent;\n}\n',
+  'src/app/badge/badge.component.ts': [
+    "import { Component, ViewEncapsulation } from '@angular/core';",
+    '',
+    '@Component({',
+    "  selector: 'app-badge',",
+    '  template: `<span class="flex p-4 text-sm dark:text-center">Badge</span>`,',
+    "  styleUrl: './badge.component.css',",
+    '  encapsulation: ViewEncapsulation.None,',
+    '})',
+    'export class BadgeComponent {}',
+    '',
+  ].join('\n'),
+  'src/app/badge/badge.component.css': [
+    '.badge { color: red; }',
+    '',
+    '/* tailwind2css:start - generated, do not edit */',
+    '.p-1 { padding: 0.25rem; }',
+    '/* tailwind2css:end */',
+    '',
+  ].join('\n'),
+  'src/app/list/list.component.ts': [
+    "import { Component } from '@angular/core';",
+    '',
+    '@Component({',
+    "  selector: 'app-list',",
+    '  template: `<ul class="flex p-4 gap-2"></ul>`,',
+    '})',
+    'export class ListComponent {}',
+    '',
+  ].join('\n'),
+};
+
+check('--components --dry-run splits rules between component stylesheets and the shared CSS', () => {
+  const dir = createFixture('components-dry-run', componentsFixture);
+  const { status, stdout } = runCli('src shared.css --components --dark-mode=class --dry-run', { cwd: dir });
+  assert.strictEqual(status, 0);
+  expectSnapshot(stdout, 'expected-components.txt');
+});
+
+check('--shared-threshold decides which classes stay shared', () => {
+  const dir = createFixture('components-threshold', componentsFixture);
+  const shared = (threshold) =>
+    Array.from(splitByComponent({ cwd: dir, dryRun: true, sharedThreshold: threshold }).shared).sort();
+  assert.deepStrictEqual(shared(3), ['flex', 'p-4']);
+  assert.deepStrictEqual(shared(4), []);
+  const everyClass = ['card', 'dark:bg-black', 'dark:text-center', 'flex', 'gap-2', 'p-4', 'rounded-lg', 'text-sm'];
+  assert.deepStrictEqual(shared(1), everyClass);
+});
+
+check('--components leaves the files alone on a second run', () => {
+  const dir = createFixture('components-idempotent', componentsFixture);
+  const first = runCli('src shared.css --components --dark-mode=class', { cwd: dir });
+  assert.strictEqual(first.status, 0);
+  assert.ok(first.stdout.includes('Changed 4 files'));
+  const files = Object.keys(componentsFixture).concat('src/app/list/list.component.css', 'shared.css');
+  const read = () => files.map((file) => fs.readFileSync(path.join(dir, file), 'utf8'));
+  const written = read();
+  const second = runCli('src shared.css --components --dark-mode=class', { cwd: dir });
+  assert.ok(second.stdout.includes('Changed 0 files'));
+  assert.deepStrictEqual(read(), written);
+});
+
+check('--components writes SCSS formats to .scss stylesheets and rejects the others', () => {
+  const dir = createFixture('components-format', componentsFixture);
+  const { changes } = splitByComponent({ cwd: dir, dryRun: true, format: 'scss-mixins' });
+  const after = (file) => changes.find((change) => change.file === file).after;
+  assert.ok(after('src/app/card/card.component.scss').includes('@mixin tw-rounded-lg { border-radius: 0.5rem; }'));
+  assert.ok(after('src/app/list/list.component.scss').includes('@mixin tw-gap-2 { gap: 0.5rem; }'));
+  // A .css stylesheet cannot hold SCSS, so it keeps plain rules.
+  assert.ok(after('src/app/badge/badge.component.css').includes('.text-sm {'));
+  const { status, stderr } = runCli('src shared.json --components --format=json', { cwd: dir });
+  assert.strictEqual(status, 1);
+  assert.strictEqual(stderr.trim(), 'Component stylesheets cannot be written as json (expected css, scss-placeholders, scss-mixins)');
+});
+
+// ------------------------------
+// FLEX LAYOUT MIGRATION
+// ------------------------------
+
+// A column that becomes a row from Flex Layout's md range (960px), with a sidebar hidden below it.
+const flexLayoutFixture = {
+  'src/app/layout.component.html': [
+    '<div fxLayout="column" fxLayout.gt-sm="row" fxLayoutGap="16px">',
+    '  <aside fxFlex="30" fxHide.lt-md class="card">Sidebar</aside>',
+    '</div>',
+    '',
+  ].join('\n'),
+};
+
+check('--flex-layout switches layouts at the breakpoints of Flex Layout', () => {
+  const dir = createFixture('flex-layout-breakpoints', flexLayoutFixture);
+  const { changes, css } = rewrite({ cwd: dir, flexLayout: true, classLists: false, dryRun: true });
+  assert.strictEqual(
+    changes[0].after,
+    [
+      '<div class="flex flex-col gap-y-4 min-[960px]:flex-row min-[960px]:gap-x-4 min-[960px]:gap-y-0">',
+      '  <aside class="card hidden flex-[1_1_30%] max-h-[30%] min-[960px]:block min-[960px]:max-w-[30%] min-[960px]:max-h-none">Sidebar</aside>',
+      '</div>',
+      '',
+    ].join('\n')
+  );
+  assert.deepStrictEqual(css.match(/@media [^{]+/g).map((query) => query.trim()), ['@media (min-width: 960px)']);
+});
+
+check('arbitrary min-[…] and max-[…] breakpoints are ordered with the theme breakpoints', () => {
+  const css = generateCss(['min-[1280px]:p-2', 'md:flex-col', 'max-[599.98px]:hidden', 'min-[960px]:flex-row', 'max-[959.98px]:block']);
+  const queries = css.match(/@media [^{]+/g).map((query) => query.trim());
+  assert.deepStrictEqual(queries, [
+    '@media (max-width: 959.98px)',
+    '@media (max-width: 599.98px)',
+    '@media (min-width: 48rem)',
+    '@media (min-width: 960px)',
+    '@media (min-width: 1280px)',
+  ]);
+});
+
+check("fxLayoutGap uses the project's spacing scale", () => {
+  const dir = createFixture('flex-layout-spacing', flexLayoutFixture);
+  const config = { theme: { spacing: { 0: '0px', 4: '2rem', md: '1rem' } } };
+  const { classes, css } = convert({ cwd: dir, config });
+  assert.ok(classes.has('gap-y-md') && classes.has('min-[960px]:gap-x-md'));
+  assert.ok(!classes.has('gap-y-4'));
+  assert.ok(css.includes('.gap-y-md { row-gap: 1rem; }'));
+  const { changes } = rewrite({ cwd: dir, config, flexLayout: true, classLists: false, dryRun: true });
+  assert.ok(changes[0].after.startsWith('<div class="flex flex-col gap-y-md min-[960px]:flex-row min-[960px]:gap-x-md '));
+});
+
+async function runTest() {
   log('\n===========================================', 'cyan');
   log('     Tailwind2CSS Test Suite', 'cyan');
   log('===========================================\n', 'cyan');
 
-  const testDir = path.join(__dirname, 'test-samples');
   const expectedFile = path.join(testDir, 'expected-output.css');
   const actualFile = path.join(testDir, 'actual-output.css');
+  const configFile = path.join(testDir, 'tailwind.config.js');
+  const themeCssFile = path.join(testDir, 'theme.css');
 
   try {
     // Step 1: Run the conversion
     log('Step 1: Running conversion...', 'blue');
-    const command = `node ./src/tailwind2css.js test-samples ${actualFile}`;
+    const command = `node ./src/tailwind2css.js test-samples ${actualFile} --config=${configFile} --css=${themeCssFile}`;
     const output = execSync(command, { encoding: 'utf8' });
     log(output, 'yellow');
 
@@ -92,22 +689,33 @@ function runTest() {
     log('\nStep 3: Comparing output...', 'blue');
     const result = compareCSS(expectedContent, actualContent);
 
-    if (result.passed) {
+    // Step 4: Run the same conversion through the Node API
+    log('Step 4: Comparing Node API output...', 'blue');
+    const apiOutput = convert({ cwd: testDir, config: require(configFile), cssFiles: ['theme.css'] }).css;
+    const apiResult = compareCSS(expectedContent, apiOutput);
+
+    // Step 5: Run the feature checks
+    log('Step 5: Running feature checks...', 'blue');
+    const failures = await runChecks();
+
+    if (result.passed && apiResult.passed && !failures.length) {
       log('\n✅ TEST PASSED!', 'green');
       log(result.message, 'green');
+      log(`${checks.length} feature checks passed`, 'green');
 
       // Clean up actual output file
       fs.unlinkSync(actualFile);
       log('\n✓ Cleaned up test files', 'yellow');
 
       process.exit(0);
-    } else {
+    } else if (!result.passed || !apiResult.passed) {
+      const failed = result.passed ? apiResult : result;
       log('\n❌ TEST FAILED!', 'red');
-      log(result.message, 'red');
+      log(result.passed ? `Node API: ${failed.message}` : failed.message, 'red');
 
-      if (result.differences) {
-        log(`\nFound ${result.totalDifferences} difference(s). Showing first 10:`, 'yellow');
-        result.differences.forEach(diff => {
+      if (failed.differences) {
+        log(`\nFound ${failed.totalDifferences} difference(s). Showing first 10:`, 'yellow');
+        failed.differences.forEach(diff => {
           log(`\nLine ${diff.line}:`, 'cyan');
           log(`  Expected: ${diff.expected}`, 'green');
           log(`  Actual:   ${diff.actual}`, 'red');
@@ -117,6 +725,16 @@ function runTest() {
       log(`\n⚠️  Actual output saved to: ${actualFile}`, 'yellow');
       log('Review the file to see the full output.', 'yellow');
 
+      process.exit(1);
+    } else {
+      fs.unlinkSync(actualFile);
+      log('\n❌ TEST FAILED!', 'red');
+      log(`${failures.length} of ${checks.length} feature checks failed:`, 'red');
+      failures.forEach(({ name, error }) => {
+        log(`\n${name}`, 'cyan');
+        log(`  ${error.message}`, 'red');
+      });
+
       process.exit(1);
     }
   } catch (error) {
@@ -132,5 +750,6 @@ function runTest() {
   }
 }
 
-// Run the test
+// Run the test, removing the scratch directory of the feature checks however it ends
+process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
 runTest();